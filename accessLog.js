@@ -0,0 +1,78 @@
+const { logger: loggerPadrao, caminhoDaRequisicao } = require('./logger');
+
+//Conta os bytes enviados no corpo da resposta, inclusive em respostas por stream
+function contarBytesResposta(res) {
+    let bytes = 0;
+    const write = res.write;
+    const end = res.end;
+    const somar = (chunk, encoding) => {
+        if (chunk && typeof chunk !== 'function') {
+            bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+        }
+    };
+
+    res.write = function (chunk, encoding, ...args) {
+        somar(chunk, encoding);
+        return write.call(this, chunk, encoding, ...args);
+    };
+    res.end = function (chunk, encoding, ...args) {
+        somar(chunk, encoding);
+        return end.call(this, chunk, encoding, ...args);
+    };
+    return () => bytes;
+}
+
+//Rota declarada com o prefixo do router; a raiz de um router montado fica sem a barra final (/product, não /product/)
+function padraoDaRota(req) {
+    if (!req.route) return null;
+    const prefixo = req.prefixoRota ?? req.baseUrl;
+    return prefixo && req.route.path === '/' ? prefixo : `${prefixo}${req.route.path}`;
+}
+
+//Registra no logger recebido método, rota, status, latência e tamanhos de cada requisição ao terminar
+const criarRegistroAcesso = (logger = loggerPadrao) => function registrarAcesso(req, res, next) {
+    const inicio = process.hrtime.bigint();
+    const bytesResposta = contarBytesResposta(res);
+    let registrado = false;
+
+    const registrar = () => {
+        if (registrado) return;
+        registrado = true;
+
+        const extra = {
+            method: req.method,
+            //Rota declarada (ex. /product/:id) agrupa melhor as métricas do que a URL
+            routePattern: padraoDaRota(req),
+            status: res.headersSent ? res.statusCode : null,
+            aborted: !res.writableFinished,
+            durationMs: Number(process.hrtime.bigint() - inicio) / 1e6,
+            requestBytes: Number(req.get('content-length')) || 0,
+            responseBytes: bytesResposta(),
+            userId: req.user?.id,
+            //Como campo, a query passa pela redação (name, email, q...); na mensagem sairia em texto puro
+            ...(Object.keys(req.query ?? {}).length > 0 && { query: req.query }),
+        };
+        const message = `${req.method} ${caminhoDaRequisicao(req)} ${extra.status ?? '-'}`;
+
+        if (extra.status >= 500) {
+            logger.error(message, req, null, extra);
+        } else if (extra.status >= 400 || extra.aborted) {
+            logger.warn(message, req, extra);
+        } else {
+            logger.info(message, req, extra);
+        }
+    };
+
+    res.once('finish', registrar);
+    res.once('close', registrar);
+    next();
+};
+
+//Guarda o prefixo do router montado (ex. /product): quando um erro sai do router,
+//o Express restaura req.baseUrl antes do errorHandler e o registro perderia o prefixo
+function registrarPrefixo(req, res, next) {
+    req.prefixoRota = req.baseUrl;
+    next();
+}
+
+module.exports = { criarRegistroAcesso, registrarPrefixo };
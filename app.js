@@ -0,0 +1,143 @@
+const express = require('express');
+const cors = require('cors');
+const { config } = require('./config');
+const { atribuirRequestId, REQUEST_ID_HEADER } = require('./requestContext');
+const { criarRegistroAcesso, registrarPrefixo } = require('./accessLog');
+const { criarErrorHandler, rotaNaoEncontrada } = require('./errorHandler');
+const { identificar } = require('./auth');
+const { criarLimites } = require('./rateLimit');
+const { swaggerDocs } = require('./swagger');
+//Repositórios e serviços
+const { criarRepositorioProdutos } = require('./productRepository');
+const { criarRepositorioUsuarios } = require('./userRepository');
+const { criarCatalogoArquivos } = require('./fileCatalog');
+const { criarServicoImagensProduto } = require('./productImages');
+const { criarServicoMultipart } = require('./multipart');
+const { criarServicoLote } = require('./bulk');
+const { criarServicoBuckets } = require('./buckets');
+const { criarServicoObjetos } = require('./objects');
+const { criarVerificacoes } = require('./health');
+//Rotas
+const { criarRotasBanco } = require('./routes/database');
+const { criarRotasProdutos } = require('./routes/products');
+const { criarRotasUsuarios } = require('./routes/users');
+const { criarRotasBuckets } = require('./routes/buckets');
+const { criarRotasArquivos } = require('./routes/files');
+const { criarRotasSaude } = require('./routes/health');
+
+//Headers dos limites de requisições, expostos para o frontend via CORS
+const RATE_LIMIT_HEADERS = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'];
+
+/**
+* @swagger
+* tags:
+*   - name: CRUD MySQL
+*     description: Operações de CRUD para product no MySQL
+*   - name: CRUD MongoDb
+*     description: Operações de CRUD para usuários no MongoDb.
+*   - name: Buckets
+*     description: Operações de Listar buckets, upload e remoção de arquivo para um bucket S3.
+*   - name: Arquivos
+*     description: Catálogo no MongoDB dos arquivos enviados aos buckets.
+*   - name: Saúde
+*     description: Liveness e readiness para load balancers e probes de container.
+*/
+
+//Repositórios, serviços e routers da API com o prefixo em que cada um é montado.
+//mysql é { pool, database }, mongo é uma conexão do mongoose e s3 um cliente do aws-sdk; nada aqui abre conexões.
+//Os routers com semLimite (probes de saúde) ficam fora do limite global de requisições.
+function criarRoteadores({
+    mysql,
+    mongo,
+    s3,
+    logger,
+    estadoLogs = () => [],
+    estadoAplicacao,
+    limites = criarLimites({ ...config.rateLimit, logger }),
+}) {
+    const produtos = criarRepositorioProdutos(mysql);
+    const usuarios = criarRepositorioUsuarios(mongo);
+    const catalogo = criarCatalogoArquivos(mongo);
+    const imagensProduto = criarServicoImagensProduto({
+        s3,
+        pool: mysql.pool,
+        dbName: mysql.database,
+        urlExpiresIn: config.productImages.urlExpiresIn,
+    });
+    const verificacoes = criarVerificacoes({
+        pool: mysql.pool,
+        mongo,
+        s3,
+        s3Bucket: config.health.s3Bucket,
+        timeoutMs: config.health.timeoutMs,
+        estadoLogs,
+        estadoAplicacao,
+    });
+
+    return [
+        { prefixo: '/', router: criarRotasBanco({ mysql, usuarios, logger }) },
+        { prefixo: '/product', router: criarRotasProdutos({ produtos, imagensProduto, s3, logger }) },
+        { prefixo: '/usuarios', router: criarRotasUsuarios({ usuarios, catalogo, limites, logger }) },
+        {
+            prefixo: '/buckets',
+            router: criarRotasBuckets({
+                s3,
+                buckets: criarServicoBuckets(s3),
+                objetos: criarServicoObjetos(s3),
+                multipart: criarServicoMultipart(s3),
+                lote: criarServicoLote(s3),
+                usuarios,
+                catalogo,
+                limites,
+                logger,
+            }),
+        },
+        { prefixo: '/files', router: criarRotasArquivos({ s3, catalogo, logger }) },
+        { prefixo: '/', router: criarRotasSaude({ verificacoes, logger }), semLimite: true },
+    ];
+}
+
+//Monta a aplicação sobre os clientes recebidos, sem abrir conexões nem iniciar o servidor.
+//rateLimitStore troca o store em memória dos limites de requisições (ex. Redis com várias instâncias).
+//O logger recebido registra também o access log, os erros 5xx e as rejeições dos limites.
+function createApp({ rateLimitStore, ...dependencias }) {
+    const { logger } = dependencias;
+    const limites = criarLimites({ ...config.rateLimit, store: rateLimitStore, logger });
+    const roteadores = criarRoteadores({ ...dependencias, limites });
+
+    const app = express();
+    app.set('trust proxy', config.trustProxy);
+
+    app.use(atribuirRequestId);
+    app.use(criarRegistroAcesso(logger));
+
+    //Origens permitidas separadas por vírgula, ex. CORS_ORIGINS=https://app.exemplo.com
+    app.use(cors({
+        origin: config.corsOrigins,
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+        allowedHeaders: ['Content-Type', 'Authorization', REQUEST_ID_HEADER],
+        exposedHeaders: [REQUEST_ID_HEADER, ...RATE_LIMIT_HEADERS]
+    }));
+
+    //Load balancers chamam as probes com frequência e do mesmo IP: elas sobem antes do limite global
+    for (const { prefixo, router } of roteadores.filter(r => r.semLimite)) {
+        app.use(prefixo, registrarPrefixo, router);
+    }
+
+    app.use(identificar);
+    app.use(limites.global);
+    app.use(express.json());
+
+    for (const { prefixo, router } of roteadores.filter(r => !r.semLimite)) {
+        app.use(prefixo, registrarPrefixo, router);
+    }
+
+    swaggerDocs(app);
+
+    app.use(rotaNaoEncontrada);
+    app.use(criarErrorHandler(logger));
+
+    return app;
+}
+
+module.exports = { createApp, criarRoteadores };
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { AppError, UnauthorizedError, ForbiddenError } = require('./errors');
+const { config } = require('./config');
+
+const JWT_SECRET = config.auth.secret;  //Segredo compartilhado (HS256)
+const JWT_JWKS_FILE = config.auth.jwksFile;  //Arquivo JWKS com as chaves públicas (RS/ES)
+const JWT_ISSUER = config.auth.issuer;
+const JWT_AUDIENCE = config.auth.audience;
+
+//Papéis em ordem crescente de permissão: cada papel herda os anteriores
+const ROLES = ['reader', 'editor', 'admin'];
+
+//Carrega o JWKS em um mapa kid -> chave pública
+function carregarJwks(file) {
+    const { keys = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return new Map(keys.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+}
+
+const jwks = JWT_JWKS_FILE ? carregarJwks(JWT_JWKS_FILE) : null;
+
+function obterChave(header, cb) {
+    if (jwks) {
+        const key = header.kid ? jwks.get(header.kid) : jwks.size === 1 ? [...jwks.values()][0] : undefined;
+        return key ? cb(null, key) : cb(new Error(`Chave ${header.kid} não encontrada no JWKS`));
+    }
+    cb(null, JWT_SECRET);
+}
+
+function verificarToken(token) {
+    const options = {
+        algorithms: jwks ? ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384', 'ES512'] : ['HS256', 'HS384', 'HS512'],
+        issuer: JWT_ISSUER,
+        audience: JWT_AUDIENCE,
+    };
+    return new Promise((resolve, reject) => {
+        jwt.verify(token, obterChave, options, (err, payload) => err ? reject(err) : resolve(payload));
+    });
+}
+
+//Papéis do usuário a partir da claim "roles" (lista) ou "role" (texto)
+function papeisDoToken(payload) {
+    const roles = Array.isArray(payload.roles) ? payload.roles : [payload.role];
+    return roles.filter(role => ROLES.includes(role));
+}
+
+//Valida o Bearer token e preenche req.user = { id, roles }
+async function autenticar(req, res, next) {
+    //Já identificado pelo middleware identificar
+    if (req.user) return next();
+
+    if (!JWT_SECRET && !jwks) {
+        return next(new AppError('Autenticação não configurada'));
+    }
+
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return next(new UnauthorizedError('Token não informado'));
+    }
+
+    try {
+        const payload = await verificarToken(token);
+        req.user = { id: payload.sub, roles: papeisDoToken(payload) };
+    } catch (err) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return next(new UnauthorizedError('Token inválido', { cause: err }));
+    }
+    next();
+}
+
+//Preenche req.user quando há um Bearer token válido, sem exigir autenticação.
+//Roda antes do limite de requisições, que conta por usuário; as rotas continuam protegidas por autorizar.
+async function identificar(req, res, next) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if ((JWT_SECRET || jwks) && scheme === 'Bearer' && token) {
+        try {
+            const payload = await verificarToken(token);
+            req.user = { id: payload.sub, roles: papeisDoToken(payload) };
+        } catch {
+            //Token inválido: a rota protegida responde 401 pelo autenticar
+        }
+    }
+    next();
+}
+
+//Exige um token válido com papel igual ou superior ao informado
+function autorizar(role) {
+    const minimo = ROLES.indexOf(role);
+    if (minimo === -1) throw new Error(`Papel desconhecido: ${role}`);
+
+    const verificarPapel = (req, res, next) => {
+        const permitido = req.user.roles.some(r => ROLES.indexOf(r) >= minimo);
+        if (!permitido) return next(new ForbiddenError());
+        next();
+    };
+    verificarPapel.role = role;
+    return [autenticar, verificarPapel];
+}
+
+module.exports = { autenticar, identificar, autorizar, ROLES };
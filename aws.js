@@ -0,0 +1,11 @@
+const AWS = require('aws-sdk');
+const { config } = require('./config');
+
+//Configuração global do SDK, feita uma única vez. Sem chaves estáticas na configuração,
+//o SDK resolve as credenciais pela cadeia padrão (variáveis AWS_*, ~/.aws/credentials, role da instância ou do container).
+AWS.config.update({
+    ...(config.aws.region && { region: config.aws.region }),
+    ...(config.aws.credentials && { credentials: new AWS.Credentials(config.aws.credentials) }),
+});
+
+module.exports = AWS;
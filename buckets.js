@@ -0,0 +1,209 @@
+const { ForbiddenError } = require('./errors');
+const { config } = require('./config');
+const { autenticar } = require('./auth');
+
+//Buckets que a API pode gerenciar: nomes exatos em BUCKET_ALLOWLIST e/ou prefixo em BUCKET_PREFIX.
+//Sem nenhuma das duas variáveis, todos os buckets da conta são permitidos.
+const BUCKET_ALLOWLIST = config.buckets.allowlist;
+const BUCKET_PREFIX = config.buckets.prefix;
+
+const DELETE_CHUNK_SIZE = 1000;
+
+function bucketPermitido(name) {
+    if (BUCKET_ALLOWLIST.length === 0 && !BUCKET_PREFIX) return true;
+    return BUCKET_ALLOWLIST.includes(name) || (Boolean(BUCKET_PREFIX) && name.startsWith(BUCKET_PREFIX));
+}
+
+//Usado com router.param('bucketName'): bloqueia qualquer rota para buckets fora da lista.
+//O param roda antes do autorizar da rota, então autentica primeiro: sem token todo bucket responde 401
+//e a lista de buckets permitidos não pode ser descoberta por quem não fez login
+function verificarBucketPermitido(req, res, next, bucketName) {
+    autenticar(req, res, (err) => {
+        if (err) return next(err);
+        if (!bucketPermitido(bucketName)) {
+            return next(new ForbiddenError(`Bucket ${bucketName} não é gerenciado por esta API`));
+        }
+        next();
+    });
+}
+
+//Erros do S3 que indicam "configuração inexistente" e devem virar uma lista/objeto vazio
+async function semConfiguracao(promise, codigo, vazio) {
+    try {
+        return await promise;
+    } catch (err) {
+        if (err.code === codigo) return vazio;
+        throw err;
+    }
+}
+
+//#region Conversões entre o formato da API e o do S3
+const corsParaS3 = (rules) => rules.map(rule => ({
+    ID: rule.id,
+    AllowedOrigins: rule.allowedOrigins,
+    AllowedMethods: rule.allowedMethods,
+    AllowedHeaders: rule.allowedHeaders,
+    ExposeHeaders: rule.exposeHeaders,
+    MaxAgeSeconds: rule.maxAgeSeconds,
+}));
+
+const corsDoS3 = (rules) => rules.map(rule => ({
+    id: rule.ID,
+    allowedOrigins: rule.AllowedOrigins,
+    allowedMethods: rule.AllowedMethods,
+    allowedHeaders: rule.AllowedHeaders ?? [],
+    exposeHeaders: rule.ExposeHeaders ?? [],
+    maxAgeSeconds: rule.MaxAgeSeconds,
+}));
+
+function lifecycleParaS3(rules) {
+    return rules.map(rule => {
+        const s3Rule = {
+            ID: rule.id,
+            Status: rule.status ?? 'Enabled',
+            Filter: { Prefix: rule.prefix ?? '' },
+        };
+        if (rule.expirationDays) s3Rule.Expiration = { Days: rule.expirationDays };
+        if (rule.noncurrentVersionExpirationDays) {
+            s3Rule.NoncurrentVersionExpiration = { NoncurrentDays: rule.noncurrentVersionExpirationDays };
+        }
+        if (rule.abortIncompleteMultipartUploadDays) {
+            s3Rule.AbortIncompleteMultipartUpload = { DaysAfterInitiation: rule.abortIncompleteMultipartUploadDays };
+        }
+        if (rule.transitions?.length) {
+            s3Rule.Transitions = rule.transitions.map(t => ({ Days: t.days, StorageClass: t.storageClass }));
+        }
+        return s3Rule;
+    });
+}
+
+function lifecycleDoS3(rules) {
+    return rules.map(rule => ({
+        id: rule.ID,
+        status: rule.Status,
+        prefix: rule.Filter?.Prefix ?? rule.Prefix ?? '',
+        expirationDays: rule.Expiration?.Days,
+        noncurrentVersionExpirationDays: rule.NoncurrentVersionExpiration?.NoncurrentDays,
+        abortIncompleteMultipartUploadDays: rule.AbortIncompleteMultipartUpload?.DaysAfterInitiation,
+        transitions: (rule.Transitions || []).map(t => ({ days: t.Days, storageClass: t.StorageClass })),
+    }));
+}
+//#endregion
+
+//Criação, remoção e configuração de buckets
+function criarServicoBuckets(s3) {
+    //Remove todas as versões e delete markers (em buckets sem versionamento, os próprios objetos)
+    async function esvaziar(bucket) {
+        let removidos = 0;
+        let keyMarker;
+        let versionIdMarker;
+        do {
+            const data = await s3.listObjectVersions({
+                Bucket: bucket,
+                KeyMarker: keyMarker,
+                VersionIdMarker: versionIdMarker,
+            }).promise();
+            const objetos = [...(data.Versions || []), ...(data.DeleteMarkers || [])]
+                .map(v => ({ Key: v.Key, VersionId: v.VersionId }));
+
+            for (let i = 0; i < objetos.length; i += DELETE_CHUNK_SIZE) {
+                const bloco = objetos.slice(i, i + DELETE_CHUNK_SIZE);
+                const result = await s3.deleteObjects({ Bucket: bucket, Delete: { Objects: bloco, Quiet: true } }).promise();
+                if (result.Errors?.length) {
+                    const err = new Error(`Falha ao remover ${result.Errors.length} objeto(s) do bucket`);
+                    err.code = result.Errors[0].Code;
+                    throw err;
+                }
+                removidos += bloco.length;
+            }
+
+            keyMarker = data.IsTruncated ? data.NextKeyMarker : undefined;
+            versionIdMarker = data.IsTruncated ? data.NextVersionIdMarker : undefined;
+        } while (keyMarker !== undefined);
+        return removidos;
+    }
+
+    return {
+        //Todos os buckets da conta; quem chama filtra pelos permitidos
+        async listar() {
+            const data = await s3.listBuckets().promise();
+            return data.Buckets;
+        },
+
+        async criar({ name, region }) {
+            const params = { Bucket: name };
+            //us-east-1 é a região padrão e não aceita LocationConstraint
+            if (region && region !== 'us-east-1') {
+                params.CreateBucketConfiguration = { LocationConstraint: region };
+            }
+            const data = await s3.createBucket(params).promise();
+            return { name, location: data.Location };
+        },
+
+        //Sem force, o S3 recusa buckets com objetos (BucketNotEmpty)
+        async remover(bucket, { force = false } = {}) {
+            const removidos = force ? await esvaziar(bucket) : 0;
+            await s3.deleteBucket({ Bucket: bucket }).promise();
+            return { name: bucket, objectsDeleted: removidos };
+        },
+
+        async versionamento(bucket) {
+            const data = await s3.getBucketVersioning({ Bucket: bucket }).promise();
+            return { status: data.Status ?? 'Disabled' };
+        },
+
+        async definirVersionamento(bucket, status) {
+            await s3.putBucketVersioning({ Bucket: bucket, VersioningConfiguration: { Status: status } }).promise();
+            return { status };
+        },
+
+        async cors(bucket) {
+            const data = await semConfiguracao(s3.getBucketCors({ Bucket: bucket }).promise(), 'NoSuchCORSConfiguration', { CORSRules: [] });
+            return corsDoS3(data.CORSRules);
+        },
+
+        async definirCors(bucket, rules) {
+            await s3.putBucketCors({ Bucket: bucket, CORSConfiguration: { CORSRules: corsParaS3(rules) } }).promise();
+            return rules;
+        },
+
+        async removerCors(bucket) {
+            await s3.deleteBucketCors({ Bucket: bucket }).promise();
+        },
+
+        async lifecycle(bucket) {
+            const data = await semConfiguracao(
+                s3.getBucketLifecycleConfiguration({ Bucket: bucket }).promise(),
+                'NoSuchLifecycleConfiguration',
+                { Rules: [] },
+            );
+            return lifecycleDoS3(data.Rules);
+        },
+
+        async definirLifecycle(bucket, rules) {
+            await s3.putBucketLifecycleConfiguration({ Bucket: bucket, LifecycleConfiguration: { Rules: lifecycleParaS3(rules) } }).promise();
+            return rules;
+        },
+
+        async removerLifecycle(bucket) {
+            await s3.deleteBucketLifecycle({ Bucket: bucket }).promise();
+        },
+
+        async tags(bucket) {
+            const data = await semConfiguracao(s3.getBucketTagging({ Bucket: bucket }).promise(), 'NoSuchTagSet', { TagSet: [] });
+            return Object.fromEntries(data.TagSet.map(tag => [tag.Key, tag.Value]));
+        },
+
+        async definirTags(bucket, tags) {
+            const TagSet = Object.entries(tags).map(([Key, Value]) => ({ Key, Value: String(Value) }));
+            await s3.putBucketTagging({ Bucket: bucket, Tagging: { TagSet } }).promise();
+            return tags;
+        },
+
+        async removerTags(bucket) {
+            await s3.deleteBucketTagging({ Bucket: bucket }).promise();
+        },
+    };
+}
+
+module.exports = { bucketPermitido, verificarBucketPermitido, criarServicoBuckets };
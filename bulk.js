@@ -0,0 +1,123 @@
+//deleteObjects aceita no máximo 1000 chaves por chamada
+const DELETE_CHUNK_SIZE = 1000;
+const COPY_CONCURRENCY = 10;
+
+//Divide a lista em blocos de tamanho fixo
+function emBlocos(lista, tamanho) {
+    const blocos = [];
+    for (let i = 0; i < lista.length; i += tamanho) {
+        blocos.push(lista.slice(i, i + tamanho));
+    }
+    return blocos;
+}
+
+//Executa fn para cada item com no máximo "limite" execuções simultâneas
+async function emParalelo(itens, limite, fn) {
+    const resultados = new Array(itens.length);
+    let proximo = 0;
+    const trabalhadores = Array.from({ length: Math.min(limite, itens.length) }, async () => {
+        while (proximo < itens.length) {
+            const i = proximo++;
+            resultados[i] = await fn(itens[i], i);
+        }
+    });
+    await Promise.all(trabalhadores);
+    return resultados;
+}
+
+//CopySource exige a chave codificada, preservando as barras
+const copySource = (bucket, key) => `${bucket}/${encodeURIComponent(key).replace(/%2F/g, '/')}`;
+
+//Operações em lote sobre objetos; cada uma retorna um relatório por chave
+function criarServicoLote(s3) {
+    //Todas as chaves sob o prefixo, percorrendo as páginas do listObjectsV2
+    async function listarChaves(bucket, prefix) {
+        const keys = [];
+        let token;
+        do {
+            const data = await s3.listObjectsV2({ Bucket: bucket, Prefix: prefix, ContinuationToken: token }).promise();
+            keys.push(...(data.Contents || []).map(obj => obj.Key));
+            token = data.IsTruncated ? data.NextContinuationToken : undefined;
+        } while (token);
+        return keys;
+    }
+
+    async function removerChaves(bucket, keys) {
+        const relatorio = { succeeded: [], failed: [] };
+        for (const bloco of emBlocos([...new Set(keys)], DELETE_CHUNK_SIZE)) {
+            try {
+                const data = await s3.deleteObjects({
+                    Bucket: bucket,
+                    Delete: { Objects: bloco.map(Key => ({ Key })), Quiet: false },
+                }).promise();
+                relatorio.succeeded.push(...(data.Deleted || []).map(d => d.Key));
+                relatorio.failed.push(...(data.Errors || []).map(e => ({ key: e.Key, code: e.Code, message: e.Message })));
+            } catch (err) {
+                //Falha do bloco inteiro (ex. bucket inexistente): todas as chaves dele falharam
+                relatorio.failed.push(...bloco.map(key => ({ key, code: err.code, message: err.message })));
+            }
+        }
+        return relatorio;
+    }
+
+    async function removerPrefixo(bucket, prefix) {
+        return removerChaves(bucket, await listarChaves(bucket, prefix));
+    }
+
+    //Copia cada { sourceKey, destinationKey }; com move, remove a origem das cópias bem-sucedidas
+    async function copiar({ bucket, destinationBucket = bucket, objects, move = false }) {
+        const resultados = await emParalelo(objects, COPY_CONCURRENCY, async ({ sourceKey, destinationKey }) => {
+            try {
+                await s3.copyObject({
+                    Bucket: destinationBucket,
+                    Key: destinationKey,
+                    CopySource: copySource(bucket, sourceKey),
+                }).promise();
+                return { sourceKey, destinationKey, ok: true };
+            } catch (err) {
+                return { sourceKey, destinationKey, ok: false, code: err.code, message: err.message };
+            }
+        });
+
+        const relatorio = {
+            succeeded: resultados.filter(r => r.ok).map(({ sourceKey, destinationKey }) => ({ sourceKey, destinationKey })),
+            failed: resultados.filter(r => !r.ok).map(({ ok, ...r }) => r),
+        };
+        if (!move) return relatorio;
+
+        //Não remove a origem quando ela é o próprio destino
+        const origens = relatorio.succeeded
+            .filter(r => destinationBucket !== bucket || r.sourceKey !== r.destinationKey)
+            .map(r => r.sourceKey);
+        const remocao = await removerChaves(bucket, origens);
+        const falhas = new Map(remocao.failed.map(f => [f.key, f]));
+
+        return {
+            succeeded: relatorio.succeeded.filter(r => !falhas.has(r.sourceKey)),
+            failed: [
+                ...relatorio.failed,
+                ...relatorio.succeeded
+                    .filter(r => falhas.has(r.sourceKey))
+                    .map(r => ({
+                        ...r,
+                        code: falhas.get(r.sourceKey).code,
+                        message: `Copiado, mas a origem não foi removida: ${falhas.get(r.sourceKey).message}`,
+                    })),
+            ],
+        };
+    }
+
+    //Copia (ou move) tudo o que está sob sourcePrefix trocando o prefixo por destinationPrefix
+    async function copiarPrefixo({ bucket, destinationBucket = bucket, sourcePrefix, destinationPrefix = '', move = false }) {
+        const keys = await listarChaves(bucket, sourcePrefix);
+        const objects = keys.map(sourceKey => ({
+            sourceKey,
+            destinationKey: destinationPrefix + sourceKey.slice(sourcePrefix.length),
+        }));
+        return copiar({ bucket, destinationBucket, objects, move });
+    }
+
+    return { listarChaves, removerChaves, removerPrefixo, copiar, copiarPrefixo };
+}
+
+module.exports = { criarServicoLote };
@@ -0,0 +1,370 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+//Configuração da aplicação: única leitura de process.env.
+//O perfil (dev | test | prod) vem de APP_ENV ou NODE_ENV do processo e muda os valores padrão e as variáveis obrigatórias.
+//As variáveis do ambiente têm prioridade sobre .env.<perfil>, que tem prioridade sobre .env.
+const PERFIS = ['dev', 'test', 'prod'];
+const ALIASES_PERFIL = { development: 'dev', production: 'prod' };
+
+//Padrões de cada perfil, aplicados por cima dos padrões do esquema
+const PADROES_POR_PERFIL = {
+    dev: { LOG_LEVEL: 'debug' },
+    test: { LOG_LEVEL: 'warn', STARTUP_RETRIES: 0, RATE_LIMIT_ENABLED: false },
+    prod: { LOG_FORMAT: 'json' },
+};
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_TRANSPORTS = ['console', 'file', 'cloudwatch'];
+
+//type: string | integer | boolean | list | json. requiredIn limita a obrigatoriedade a alguns perfis.
+const ESQUEMA = {
+    //Servidor
+    PORT: { type: 'integer', min: 1, max: 65535, default: 3000 },
+    CORS_ORIGINS: { type: 'list', requiredIn: ['prod'] },
+    //Proxies confiáveis à frente da API (load balancer): define o IP do cliente a partir do X-Forwarded-For
+    TRUST_PROXY: { type: 'integer', min: 0, default: 0 },
+
+    //MySQL
+    DB_HOST: { type: 'string', required: true },
+    DB_PORT: { type: 'integer', min: 1, max: 65535, default: 3306 },
+    DB_USER: { type: 'string' },
+    DB_PASSWORD: { type: 'string' },
+    //Interpolado em USE `...`: só letras, números, _ e $
+    DB_NAME: { type: 'string', required: true, pattern: /^[\w$]+$/ },
+    DB_CONNECTION_LIMIT: { type: 'integer', min: 1, default: 10 },
+
+    //MongoDB
+    MONGO_URI: { type: 'string', required: true, pattern: /^mongodb(\+srv)?:\/\// },
+
+    //AWS: sem ACCESS_KEY_ID/SECRET_ACCESS_KEY, o SDK usa a cadeia padrão de credenciais
+    REGION: { type: 'string' },
+    ACCESS_KEY_ID: { type: 'string' },
+    SECRET_ACCESS_KEY: { type: 'string' },
+    SESSION_TOKEN: { type: 'string' },
+    S3_ENDPOINT: { type: 'string', pattern: /^https?:\/\// },
+    CLOUDWATCH_ENDPOINT: { type: 'string', pattern: /^https?:\/\// },
+
+    //Autenticação
+    JWT_SECRET: { type: 'string' },
+    JWT_JWKS_FILE: { type: 'string' },
+    JWT_ISSUER: { type: 'string' },
+    JWT_AUDIENCE: { type: 'string' },
+
+    //Logs
+    LOG_LEVEL: { type: 'string', enum: LOG_LEVELS, default: 'info' },
+    LOG_FORMAT: { type: 'string', enum: ['pretty', 'json'], default: 'pretty' },
+    LOG_TRANSPORTS: { type: 'list', enum: LOG_TRANSPORTS },
+    LOG_FILE: { type: 'string', default: 'logs/app.log' },
+    LOG_FILE_MAX_BYTES: { type: 'integer', min: 1, default: 10 * 1024 * 1024 },
+    LOG_FILE_MAX_FILES: { type: 'integer', min: 0, default: 5 },
+    LOG_GROUP_NAME: { type: 'string' },
+    LOG_STREAM_NAME: { type: 'string' },
+    LOG_BATCH_MAX_COUNT: { type: 'integer', min: 1, max: 10000, default: 10000 },
+    LOG_BATCH_MAX_BYTES: { type: 'integer', min: 1, max: 1024 * 1024, default: 1024 * 1024 },
+    LOG_FLUSH_INTERVAL_MS: { type: 'integer', min: 1, default: 2000 },
+    LOG_REDACT_FIELDS: { type: 'list', default: [] },
+    LOG_REDACT_PATTERNS: { type: 'json', default: [], validar: validarRegexes },
+    LOG_REDACT_EMAILS: { type: 'boolean', default: true },
+    LOG_MAX_STRING_LENGTH: { type: 'integer', min: 1, default: 2048 },
+    LOG_MAX_ARRAY_LENGTH: { type: 'integer', min: 1, default: 50 },
+
+    //Buckets e uploads
+    BUCKET_ALLOWLIST: { type: 'list', default: [] },
+    BUCKET_PREFIX: { type: 'string', default: '' },
+    UPLOAD_ALLOWED_TYPES: { type: 'list', lowercase: true, default: [] },
+    UPLOAD_ALLOWED_EXTENSIONS: { type: 'list', lowercase: true, default: [] },
+    UPLOAD_MAX_BYTES: { type: 'integer', min: 1, default: 50 * 1024 * 1024 },
+    UPLOAD_KEY_LAYOUT: { type: 'string', enum: ['timestamp', 'uuid', 'date'], default: 'timestamp' },
+    UPLOAD_KEY_PREFIX: { type: 'string', default: '' },
+    UPLOAD_DISPOSITION: { type: 'string', enum: ['attachment', 'inline'], default: 'attachment' },
+    UPLOAD_POLICIES: { type: 'json', default: {}, validar: validarObjeto },
+
+    //Imagens de produto
+    PRODUCT_IMAGES_BUCKET: { type: 'string' },
+    PRODUCT_IMAGES_PREFIX: { type: 'string', default: 'products/' },
+    PRODUCT_IMAGES_MAX_FILES: { type: 'integer', min: 1, default: 10 },
+    PRODUCT_IMAGES_URL_EXPIRES: { type: 'integer', min: 1, max: 604800, default: 900 },
+
+    //Tarefas periódicas
+    FILE_RECONCILE_BUCKETS: { type: 'list', default: [] },
+    FILE_RECONCILE_INTERVAL_MINUTES: { type: 'integer', min: 1, default: 360 },
+    MULTIPART_CLEANUP_BUCKETS: { type: 'list', default: [] },
+    MULTIPART_MAX_AGE_HOURS: { type: 'integer', min: 1, default: 24 },
+    MULTIPART_CLEANUP_INTERVAL_MINUTES: { type: 'integer', min: 1, default: 60 },
+
+    //Limite de requisições por cliente (usuário do token ou IP)
+    RATE_LIMIT_ENABLED: { type: 'boolean', default: true },
+    RATE_LIMIT_WINDOW_MS: { type: 'integer', min: 1000, default: 60000 },
+    RATE_LIMIT_MAX: { type: 'integer', min: 1, default: 300 },
+    //Cotas por cliente, ex. {"<sub do token ou IP>": 1000}
+    RATE_LIMIT_CLIENTS: { type: 'json', default: {}, validar: validarCotas },
+    //Limites por rota, ex. {"buckets:upload": {"max": 5, "windowMs": 60000}}
+    RATE_LIMIT_ROUTES: { type: 'json', default: {}, validar: validarLimitesDeRota },
+
+    //Saúde e ciclo de vida
+    HEALTH_TIMEOUT_MS: { type: 'integer', min: 1, default: 2000 },
+    HEALTH_S3_BUCKET: { type: 'string' },
+    STARTUP_RETRIES: { type: 'integer', min: 0, default: 5 },
+    STARTUP_RETRY_BASE_MS: { type: 'integer', min: 1, default: 500 },
+    SHUTDOWN_TIMEOUT_MS: { type: 'integer', min: 1, default: 15000 },
+    SHUTDOWN_DRAIN_MS: { type: 'integer', min: 0, default: 10000 },
+};
+
+class ConfigError extends Error {
+    constructor(problemas) {
+        super(`Configuração inválida:\n${problemas.map(p => `  - ${p}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problemas = problemas;
+    }
+}
+
+function validarRegexes(valor) {
+    if (!Array.isArray(valor) || valor.some(p => typeof p !== 'string')) return 'deve ser uma lista JSON de strings';
+    for (const padrao of valor) {
+        try {
+            new RegExp(padrao);
+        } catch {
+            return `regex inválida: ${padrao}`;
+        }
+    }
+}
+
+function validarObjeto(valor) {
+    if (valor === null || typeof valor !== 'object' || Array.isArray(valor)) return 'deve ser um objeto JSON';
+}
+
+const inteiroPositivo = (valor) => Number.isInteger(valor) && valor > 0;
+
+function validarCotas(valor) {
+    const problema = validarObjeto(valor);
+    if (problema) return problema;
+    const invalido = Object.keys(valor).find(cliente => !inteiroPositivo(valor[cliente]));
+    if (invalido) return `a cota de ${invalido} deve ser um inteiro positivo`;
+}
+
+function validarLimitesDeRota(valor) {
+    const problema = validarObjeto(valor);
+    if (problema) return problema;
+    for (const [rota, limite] of Object.entries(valor)) {
+        if (validarObjeto(limite) || !inteiroPositivo(limite.max) || (limite.windowMs !== undefined && !inteiroPositivo(limite.windowMs))) {
+            return `${rota}: use {"max": <inteiro positivo>, "windowMs"?: <inteiro positivo>}`;
+        }
+    }
+}
+
+//Converte o texto da variável no tipo do esquema; retorna a mensagem de erro em vez de lançar
+function converter(texto, regra) {
+    switch (regra.type) {
+        case 'integer':
+            return /^-?\d+$/.test(texto) ? { valor: Number(texto) } : { erro: 'deve ser um número inteiro' };
+        case 'boolean':
+            if (['true', '1'].includes(texto.toLowerCase())) return { valor: true };
+            if (['false', '0'].includes(texto.toLowerCase())) return { valor: false };
+            return { erro: 'deve ser true ou false' };
+        case 'list':
+            return { valor: texto.split(',').map(v => v.trim()).filter(Boolean).map(v => regra.lowercase ? v.toLowerCase() : v) };
+        case 'json':
+            try {
+                return { valor: JSON.parse(texto) };
+            } catch {
+                return { erro: 'deve ser um JSON válido' };
+            }
+        default:
+            return { valor: texto };
+    }
+}
+
+//Restrições do esquema sobre o valor já convertido
+function verificarRegra(valor, regra) {
+    const itens = regra.type === 'list' ? valor : [valor];
+    if (regra.enum) {
+        const invalido = itens.find(item => !regra.enum.includes(item));
+        if (invalido !== undefined) return `valor "${invalido}" inválido; use ${regra.enum.join(', ')}`;
+    }
+    if (regra.min !== undefined && valor < regra.min) return `deve ser no mínimo ${regra.min}`;
+    if (regra.max !== undefined && valor > regra.max) return `deve ser no máximo ${regra.max}`;
+    if (regra.pattern && !regra.pattern.test(valor)) return `formato inválido (esperado ${regra.pattern})`;
+    return regra.validar?.(valor);
+}
+
+function resolverPerfil(env) {
+    const nome = (env.APP_ENV || env.NODE_ENV || 'dev').toLowerCase();
+    return ALIASES_PERFIL[nome] ?? nome;
+}
+
+//Valida todas as variáveis e monta a configuração tipada; lança ConfigError com todos os problemas de uma vez
+function carregarConfiguracao(env = process.env) {
+    const problemas = [];
+    const perfil = resolverPerfil(env);
+    if (!PERFIS.includes(perfil)) {
+        throw new ConfigError([`APP_ENV/NODE_ENV: perfil "${perfil}" inválido; use ${PERFIS.join(', ')}`]);
+    }
+
+    const padroes = PADROES_POR_PERFIL[perfil];
+    const v = {};
+    for (const [nome, regra] of Object.entries(ESQUEMA)) {
+        const texto = env[nome]?.trim();
+        if (!texto) {
+            if (regra.required || regra.requiredIn?.includes(perfil)) {
+                problemas.push(`${nome}: obrigatória${regra.requiredIn ? ` no perfil ${perfil}` : ''}`);
+            }
+            v[nome] = nome in padroes ? padroes[nome] : regra.default;
+            continue;
+        }
+
+        const { valor, erro } = converter(texto, regra);
+        const problema = erro ?? verificarRegra(valor, regra);
+        if (problema) {
+            problemas.push(`${nome}: ${problema}`);
+            continue;
+        }
+        v[nome] = valor;
+    }
+
+    //Regras que envolvem mais de uma variável
+    if (!v.JWT_SECRET && !v.JWT_JWKS_FILE) {
+        problemas.push('JWT_SECRET ou JWT_JWKS_FILE: defina uma das duas');
+    }
+    if (v.JWT_JWKS_FILE && !fs.existsSync(v.JWT_JWKS_FILE)) {
+        problemas.push(`JWT_JWKS_FILE: arquivo ${v.JWT_JWKS_FILE} não encontrado`);
+    }
+    if (Boolean(v.ACCESS_KEY_ID) !== Boolean(v.SECRET_ACCESS_KEY)) {
+        problemas.push('ACCESS_KEY_ID e SECRET_ACCESS_KEY: defina as duas ou nenhuma (cadeia padrão de credenciais da AWS)');
+    }
+    if (v.SESSION_TOKEN && !v.ACCESS_KEY_ID) {
+        problemas.push('SESSION_TOKEN: exige ACCESS_KEY_ID e SECRET_ACCESS_KEY');
+    }
+
+    //Sem LOG_TRANSPORTS, usa o CloudWatch quando há um Log Group configurado e o console caso contrário
+    const transports = v.LOG_TRANSPORTS ?? [v.LOG_GROUP_NAME ? 'cloudwatch' : 'console'];
+    if (transports.includes('cloudwatch')) {
+        for (const nome of ['LOG_GROUP_NAME', 'LOG_STREAM_NAME']) {
+            if (!v[nome]) problemas.push(`${nome}: obrigatória com o transporte de log cloudwatch`);
+        }
+    }
+    if (v.SHUTDOWN_DRAIN_MS >= v.SHUTDOWN_TIMEOUT_MS) {
+        problemas.push('SHUTDOWN_DRAIN_MS: deve ser menor que SHUTDOWN_TIMEOUT_MS');
+    }
+
+    if (problemas.length > 0) throw new ConfigError(problemas);
+
+    return Object.freeze({
+        profile: perfil,
+        port: v.PORT,
+        corsOrigins: v.CORS_ORIGINS?.length ? v.CORS_ORIGINS : '*',
+        trustProxy: v.TRUST_PROXY,
+        mysql: {
+            host: v.DB_HOST,
+            port: v.DB_PORT,
+            user: v.DB_USER,
+            password: v.DB_PASSWORD,
+            database: v.DB_NAME,
+            connectionLimit: v.DB_CONNECTION_LIMIT,
+        },
+        mongo: { uri: v.MONGO_URI },
+        aws: {
+            region: v.REGION,
+            //null = cadeia padrão (variáveis AWS_*, ~/.aws/credentials, role da instância ou do container)
+            credentials: v.ACCESS_KEY_ID
+                ? { accessKeyId: v.ACCESS_KEY_ID, secretAccessKey: v.SECRET_ACCESS_KEY, sessionToken: v.SESSION_TOKEN }
+                : null,
+            s3Endpoint: v.S3_ENDPOINT,
+            cloudwatchEndpoint: v.CLOUDWATCH_ENDPOINT,
+        },
+        auth: {
+            secret: v.JWT_SECRET,
+            jwksFile: v.JWT_JWKS_FILE,
+            issuer: v.JWT_ISSUER,
+            audience: v.JWT_AUDIENCE,
+        },
+        log: {
+            level: v.LOG_LEVEL,
+            format: v.LOG_FORMAT,
+            transports,
+            file: { file: v.LOG_FILE, maxBytes: v.LOG_FILE_MAX_BYTES, maxFiles: v.LOG_FILE_MAX_FILES },
+            cloudwatch: {
+                logGroupName: v.LOG_GROUP_NAME,
+                logStreamName: v.LOG_STREAM_NAME,
+                endpoint: v.CLOUDWATCH_ENDPOINT,
+                maxBatchCount: v.LOG_BATCH_MAX_COUNT,
+                maxBatchBytes: v.LOG_BATCH_MAX_BYTES,
+                flushIntervalMs: v.LOG_FLUSH_INTERVAL_MS,
+            },
+            redaction: {
+                fields: v.LOG_REDACT_FIELDS,
+                patterns: v.LOG_REDACT_PATTERNS,
+                maskEmails: v.LOG_REDACT_EMAILS,
+                maxStringLength: v.LOG_MAX_STRING_LENGTH,
+                maxArrayLength: v.LOG_MAX_ARRAY_LENGTH,
+            },
+        },
+        buckets: { allowlist: v.BUCKET_ALLOWLIST, prefix: v.BUCKET_PREFIX },
+        upload: {
+            allowedTypes: v.UPLOAD_ALLOWED_TYPES,
+            allowedExtensions: v.UPLOAD_ALLOWED_EXTENSIONS,
+            maxBytes: v.UPLOAD_MAX_BYTES,
+            keyLayout: v.UPLOAD_KEY_LAYOUT,
+            keyPrefix: v.UPLOAD_KEY_PREFIX,
+            disposition: v.UPLOAD_DISPOSITION,
+            policies: v.UPLOAD_POLICIES,
+        },
+        productImages: {
+            bucket: v.PRODUCT_IMAGES_BUCKET,
+            prefix: v.PRODUCT_IMAGES_PREFIX,
+            maxFiles: v.PRODUCT_IMAGES_MAX_FILES,
+            urlExpiresIn: v.PRODUCT_IMAGES_URL_EXPIRES,
+        },
+        fileReconcile: {
+            buckets: v.FILE_RECONCILE_BUCKETS,
+            intervalMs: v.FILE_RECONCILE_INTERVAL_MINUTES * 60 * 1000,
+        },
+        multipartCleanup: {
+            buckets: v.MULTIPART_CLEANUP_BUCKETS,
+            maxAgeMs: v.MULTIPART_MAX_AGE_HOURS * 60 * 60 * 1000,
+            intervalMs: v.MULTIPART_CLEANUP_INTERVAL_MINUTES * 60 * 1000,
+        },
+        rateLimit: {
+            enabled: v.RATE_LIMIT_ENABLED,
+            windowMs: v.RATE_LIMIT_WINDOW_MS,
+            max: v.RATE_LIMIT_MAX,
+            clients: v.RATE_LIMIT_CLIENTS,
+            routes: v.RATE_LIMIT_ROUTES,
+        },
+        health: { timeoutMs: v.HEALTH_TIMEOUT_MS, s3Bucket: v.HEALTH_S3_BUCKET },
+        lifecycle: {
+            retries: v.STARTUP_RETRIES,
+            retryBaseMs: v.STARTUP_RETRY_BASE_MS,
+            shutdownTimeoutMs: v.SHUTDOWN_TIMEOUT_MS,
+            drainTimeoutMs: v.SHUTDOWN_DRAIN_MS,
+        },
+    });
+}
+
+//Configuração do processo, validada na primeira leitura de config: com problemas, lança um ConfigError listando todos.
+//Os arquivos .env vão para process.env (sem sobrescrever) para que o SDK da AWS também enxergue as variáveis AWS_*.
+function configuracaoDoProcesso() {
+    dotenv.config({ path: [`.env.${resolverPerfil(process.env)}`, '.env'].map(arquivo => path.join(process.cwd(), arquivo)) });
+    return carregarConfiguracao(process.env);
+}
+
+//Pontos de entrada (server.js e os CLIs) chamam antes de carregar os demais módulos: com a configuração inválida,
+//mostra os problemas e encerra antes de subir qualquer coisa. Quem só importa o módulo (ex. os testes) recebe o ConfigError.
+function configuracaoOuEncerrar() {
+    try {
+        return module.exports.config;
+    } catch (err) {
+        if (!(err instanceof ConfigError)) throw err;
+        console.error(err.message);
+        process.exit(1);
+    }
+}
+
+let config;
+
+module.exports = { carregarConfiguracao, configuracaoOuEncerrar, ConfigError, ESQUEMA };
+Object.defineProperty(module.exports, 'config', {
+    enumerable: true,
+    get: () => (config ??= configuracaoDoProcesso()),
+});
@@ -0,0 +1,18 @@
+//mySQL
+const mysql = require('mysql2');
+const { config } = require('./config');
+
+const pool = mysql.createPool({
+    host: config.mysql.host,
+    user: config.mysql.user,
+    password: config.mysql.password,
+    port: config.mysql.port,
+    waitForConnections: true,
+    connectionLimit: config.mysql.connectionLimit,
+    queueLimit: 0,
+    multipleStatements: true
+}).promise();
+
+const DB_NAME = config.mysql.database;
+
+module.exports = { pool, DB_NAME };
@@ -0,0 +1,84 @@
+const {
+    AppError,
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+} = require('./errors');
+const { logger: loggerPadrao } = require('./logger');
+
+//Mensagem e code dos status HTTP mais comuns nos erros expostos pelas bibliotecas
+const ERROS_HTTP = {
+    400: ['Requisição inválida', 'BAD_REQUEST'],
+    411: ['Content-Length obrigatório', 'LENGTH_REQUIRED'],
+    413: ['Corpo da requisição grande demais', 'PAYLOAD_TOO_LARGE'],
+    415: ['Tipo de conteúdo não suportado', 'UNSUPPORTED_MEDIA_TYPE'],
+};
+
+//Traduz erros de bibliotecas (body-parser, multer, mongoose, mysql2) para os erros da API
+function normalizarErro(err) {
+    if (err instanceof AppError) return err;
+
+    //JSON malformado ou corpo grande demais (body-parser)
+    if (err.type === 'entity.parse.failed') {
+        return new ValidationError('JSON inválido', undefined, { cause: err });
+    }
+    if (err.type === 'entity.too.large') {
+        return new AppError('Corpo da requisição grande demais', { status: 413, code: 'PAYLOAD_TOO_LARGE', cause: err });
+    }
+
+    //Demais erros HTTP expostos pelas bibliotecas (ex. 415 de charset ou encoding não suportado no body-parser)
+    if (err.expose && Number.isInteger(err.status) && err.status >= 400 && err.status < 500) {
+        const [message, code] = ERROS_HTTP[err.status] ?? ['Requisição inválida', 'BAD_REQUEST'];
+        return new AppError(message, { status: err.status, code, cause: err });
+    }
+
+    if (err.name === 'MulterError') {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return new AppError('Arquivo maior que o permitido', { status: 413, code: 'PAYLOAD_TOO_LARGE', cause: err });
+        }
+        return new ValidationError(err.message, [{ field: err.field, message: err.message }], { cause: err });
+    }
+
+    //mongoose
+    if (err.name === 'CastError') {
+        return new ValidationError('Requisição inválida', [{ field: err.path, message: 'valor inválido' }], { cause: err });
+    }
+    if (err.name === 'ValidationError' && err.errors) {
+        const details = Object.values(err.errors).map(e => ({ field: e.path, message: e.message }));
+        return new ValidationError('Requisição inválida', details, { cause: err });
+    }
+
+    //Chave única duplicada no MongoDB (11000) ou no MySQL
+    if (err.code === 11000 || err.code === 'ER_DUP_ENTRY') {
+        const details = err.keyValue && Object.keys(err.keyValue).map(field => ({ field, message: 'já está em uso' }));
+        return new ConflictError('Registro duplicado', { details, cause: err });
+    }
+
+    return new AppError('Erro interno', { cause: err });
+}
+
+//Rotas inexistentes
+function rotaNaoEncontrada(req, res, next) {
+    next(new NotFoundError(`Rota ${req.method} ${req.path} não encontrada`));
+}
+
+//Middleware final de erros: loga os detalhes internos no logger recebido e responde sempre o mesmo envelope
+const criarErrorHandler = (logger = loggerPadrao) => function errorHandler(err, req, res, next) {
+    const erro = normalizarErro(err);
+
+    if (erro.status >= 500) {
+        logger.error(erro.message, req, erro.cause ?? erro, { code: erro.code });
+    }
+    if (res.headersSent) {
+        return res.destroy();
+    }
+
+    res.status(erro.status).json({
+        error: erro.message,
+        code: erro.code,
+        ...(erro.details && { details: erro.details }),
+        requestId: req.id,
+    });
+};
+
+module.exports = { criarErrorHandler, rotaNaoEncontrada };
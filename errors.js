@@ -0,0 +1,94 @@
+//Erros tipados da API. O errorHandler converte cada um no status e no envelope
+//{ error, code, details?, requestId } sem expor o erro interno (cause) ao cliente.
+
+class AppError extends Error {
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', details, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+class ValidationError extends AppError {
+    constructor(message = 'Requisição inválida', details, options = {}) {
+        super(message, { status: 400, code: 'VALIDATION_ERROR', details, ...options });
+    }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(message = 'Não autenticado', options = {}) {
+        super(message, { status: 401, code: 'UNAUTHORIZED', ...options });
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message = 'Permissão insuficiente', options = {}) {
+        super(message, { status: 403, code: 'FORBIDDEN', ...options });
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message = 'Recurso não encontrado', options = {}) {
+        super(message, { status: 404, code: 'NOT_FOUND', ...options });
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message = 'Conflito com o estado atual do recurso', options = {}) {
+        super(message, { status: 409, code: 'CONFLICT', ...options });
+    }
+}
+
+//Limite de requisições do cliente excedido (o Retry-After é definido pelo rateLimit.js)
+class TooManyRequestsError extends AppError {
+    constructor(message = 'Muitas requisições, tente novamente mais tarde', options = {}) {
+        super(message, { status: 429, code: 'TOO_MANY_REQUESTS', ...options });
+    }
+}
+
+//Falha em um serviço externo (S3, CloudWatch...)
+class UpstreamError extends AppError {
+    constructor(message = 'Falha em serviço externo', options = {}) {
+        super(message, { status: 502, code: 'UPSTREAM_ERROR', ...options });
+    }
+}
+
+const AWS_NOT_FOUND = ['NoSuchBucket', 'NoSuchKey', 'NotFound', 'NoSuchUpload'];
+const AWS_CONFLICT = ['BucketAlreadyExists', 'BucketAlreadyOwnedByYou', 'BucketNotEmpty', 'OperationAborted'];
+const AWS_BAD_REQUEST = {
+    EntityTooSmall: 'Todas as partes, exceto a última, devem ter no mínimo 5 MB',
+    InvalidPart: 'Uma das partes não foi enviada ou o ETag informado não confere',
+    InvalidPartOrder: 'As partes devem estar em ordem crescente de partNumber',
+};
+
+//Converte um erro do SDK da AWS: recursos inexistentes viram 404, conflitos 409, dados rejeitados pelo S3 400, o resto 502
+function erroAws(message, err) {
+    if (AWS_NOT_FOUND.includes(err?.code)) {
+        return new NotFoundError(message, { cause: err });
+    }
+    if (AWS_CONFLICT.includes(err?.code)) {
+        return new ConflictError(message, { cause: err });
+    }
+    if (err?.code === 'InvalidRange') {
+        return new AppError('Intervalo solicitado inválido', { status: 416, code: 'RANGE_NOT_SATISFIABLE', cause: err });
+    }
+    //O S3 rejeitou os dados enviados pelo cliente (partes, XML, argumentos): não é falha do serviço
+    if (err?.statusCode === 400) {
+        return new AppError(AWS_BAD_REQUEST[err.code] ?? message, { status: 400, code: 'BAD_REQUEST', cause: err });
+    }
+    return new UpstreamError(message, { cause: err });
+}
+
+module.exports = {
+    AppError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    TooManyRequestsError,
+    UpstreamError,
+    erroAws,
+};
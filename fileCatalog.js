@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const { criarLogger } = require('./logger');
+const { consultaInvalida, textoLiteral } = require('./validation');
+
+const logger = criarLogger({ module: 'fileCatalog' });
+
+//Catálogo dos objetos enviados pela API. O S3 é a fonte da verdade:
+//divergências (falha ao gravar no Mongo, uploads por URL pré-assinada...) são apontadas pela reconciliação.
+const FileSchema = new mongoose.Schema({
+    bucket: { type: String, required: true },
+    key: { type: String, required: true },
+    originalName: String,
+    size: Number,
+    contentType: String,
+    checksum: String,  //SHA-256 do conteúdo, em hexadecimal
+    etag: String,
+    uploadedBy: String,  //sub do token de quem enviou
+    usuario: { type: mongoose.Schema.Types.ObjectId, ref: 'Usuario' },
+}, { timestamps: true });
+
+FileSchema.index({ bucket: 1, key: 1 }, { unique: true });
+FileSchema.index({ usuario: 1 });
+FileSchema.index({ uploadedBy: 1 });
+
+const FILE_SORT_FIELDS = ['createdAt', 'size', 'key'];
+const FILE_MAX_LIMIT = 100;
+
+//Monta o filtro, a ordenação e a paginação da listagem de arquivos a partir da query string
+function montarConsultaArquivos(query) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const limit = query.limit === undefined ? 20 : Number(query.limit);
+    if (!Number.isInteger(page) || page < 1) throw consultaInvalida('page', 'deve ser um inteiro positivo');
+    if (!Number.isInteger(limit) || limit < 1 || limit > FILE_MAX_LIMIT) {
+        throw consultaInvalida('limit', `deve ser um inteiro entre 1 e ${FILE_MAX_LIMIT}`);
+    }
+
+    const filter = {};
+    if (query.bucket) filter.bucket = String(query.bucket);
+    if (query.prefix) filter.key = { $regex: `^${textoLiteral(query.prefix)}` };
+    if (query.name) filter.originalName = { $regex: textoLiteral(query.name), $options: 'i' };
+    if (query.uploadedBy) filter.uploadedBy = String(query.uploadedBy);
+    //Tipo exato (image/png) ou família (image/)
+    if (query.contentType) {
+        const contentType = String(query.contentType);
+        filter.contentType = contentType.endsWith('/') ? { $regex: `^${textoLiteral(contentType)}` } : contentType;
+    }
+    if (query.usuarioId) {
+        if (!mongoose.isValidObjectId(query.usuarioId)) throw consultaInvalida('usuarioId', 'deve ser um id válido');
+        filter.usuario = query.usuarioId;
+    }
+
+    let sort = { createdAt: -1, _id: 1 };
+    if (query.sort) {
+        const [field, direction = 'asc'] = String(query.sort).split(':');
+        if (!FILE_SORT_FIELDS.includes(field) || !['asc', 'desc'].includes(direction.toLowerCase())) {
+            throw consultaInvalida('sort', `deve estar no formato <${FILE_SORT_FIELDS.join('|')}>:<asc|desc>`);
+        }
+        sort = { [field]: direction.toLowerCase() === 'asc' ? 1 : -1, _id: 1 };
+    }
+
+    return { page, limit, filter, sort };
+}
+
+//Todos os objetos do bucket, percorrendo as páginas do listObjectsV2
+async function listarObjetos(s3, bucket) {
+    const objetos = [];
+    let token;
+    do {
+        const data = await s3.listObjectsV2({ Bucket: bucket, ContinuationToken: token }).promise();
+        objetos.push(...(data.Contents || []));
+        token = data.IsTruncated ? data.NextContinuationToken : undefined;
+    } while (token);
+    return objetos;
+}
+
+//Catálogo sobre a conexão recebida (mongoose.connection em produção)
+function criarCatalogoArquivos(mongo) {
+    const File = mongo.models.File ?? mongo.model('File', FileSchema);
+
+    //Grava (ou sobrescreve, no caso de reenvio da mesma chave) o registro do objeto
+    async function registrarArquivo(dados) {
+        return File.findOneAndUpdate(
+            { bucket: dados.bucket, key: dados.key },
+            dados,
+            { upsert: true, new: true, setDefaultsOnInsert: true },
+        );
+    }
+
+    async function removerDoCatalogo(bucket, keys) {
+        return File.deleteMany({ bucket, key: { $in: keys } });
+    }
+
+    async function removerBucketDoCatalogo(bucket) {
+        return File.deleteMany({ bucket });
+    }
+
+    //Replica os registros das cópias bem-sucedidas; com move, apenas troca bucket/chave
+    async function copiarNoCatalogo({ bucket, destinationBucket = bucket, copies, move = false }) {
+        for (const { sourceKey, destinationKey } of copies) {
+            const origem = await File.findOne({ bucket, key: sourceKey }).lean();
+            if (!origem) continue;
+
+            const { _id, createdAt, updatedAt, ...dados } = origem;
+            await registrarArquivo({ ...dados, bucket: destinationBucket, key: destinationKey });
+            if (move && (destinationBucket !== bucket || destinationKey !== sourceKey)) {
+                await File.deleteOne({ _id });
+            }
+        }
+    }
+
+    //Remove o vínculo dos arquivos com um usuário expurgado
+    async function desvincularUsuario(usuarioId) {
+        return File.updateMany({ usuario: usuarioId }, { $unset: { usuario: 1 } });
+    }
+
+    //Compara o bucket com o catálogo. Com fix, remove registros sem objeto e cataloga os objetos sem registro.
+    async function reconciliar(s3, { bucket, fix = false }) {
+        const objetos = await listarObjetos(s3, bucket);
+        const registros = await File.find({ bucket }, { key: 1 }).lean();
+
+        const chavesNoS3 = new Set(objetos.map(obj => obj.Key));
+        const chavesNoCatalogo = new Set(registros.map(r => r.key));
+
+        const naoCatalogados = objetos.filter(obj => !chavesNoCatalogo.has(obj.Key));
+        const semObjeto = registros.filter(r => !chavesNoS3.has(r.key));
+
+        if (fix) {
+            if (semObjeto.length > 0) {
+                await File.deleteMany({ _id: { $in: semObjeto.map(r => r._id) } });
+            }
+            for (const obj of naoCatalogados) {
+                await registrarArquivo({ bucket, key: obj.Key, size: obj.Size, etag: obj.ETag });
+            }
+        }
+
+        return {
+            bucket,
+            fixed: fix,
+            objects: objetos.length,
+            cataloged: registros.length,
+            missingInCatalog: naoCatalogados.map(obj => obj.Key),
+            missingInS3: semObjeto.map(r => r.key),
+        };
+    }
+
+    //Executa a reconciliação periodicamente (somente relatório), sem manter o processo vivo
+    function iniciarReconciliacao(s3, { buckets, intervalMs }) {
+        const executar = async () => {
+            const relatorios = [];
+            for (const bucket of buckets) {
+                try {
+                    const relatorio = await reconciliar(s3, { bucket });
+                    if (relatorio.missingInCatalog.length > 0 || relatorio.missingInS3.length > 0) {
+                        logger.warn('Divergências entre o S3 e o catálogo de arquivos', null, relatorio);
+                    }
+                    relatorios.push(relatorio);
+                } catch (err) {
+                    logger.error('Erro ao reconciliar o catálogo de arquivos', null, err, { bucket });
+                }
+            }
+            return relatorios;
+        };
+
+        const timer = setInterval(executar, intervalMs);
+        timer.unref();
+        return { executar, parar: () => clearInterval(timer) };
+    }
+
+    //Página da listagem montada por montarConsultaArquivos
+    async function listar({ page, limit, filter, sort }) {
+        const [data, total] = await Promise.all([
+            File.find(filter).sort(sort).skip((page - 1) * limit).limit(limit),
+            File.countDocuments(filter),
+        ]);
+        return { data, total };
+    }
+
+    return {
+        File,
+        registrarArquivo,
+        removerDoCatalogo,
+        removerBucketDoCatalogo,
+        copiarNoCatalogo,
+        desvincularUsuario,
+        listar,
+        buscar: (id) => File.findById(id),
+        reconciliar,
+        iniciarReconciliacao,
+    };
+}
+
+module.exports = { criarCatalogoArquivos, montarConsultaArquivos, FileSchema };
@@ -0,0 +1,104 @@
+//Verificações de saúde para load balancers e probes de container.
+//Nenhuma delas abre ou fecha conexões: todas usam os clientes compartilhados da aplicação.
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+function comTimeout(promise, ms) {
+    let timer;
+    const limite = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const err = new Error(`Sem resposta em ${ms}ms`);
+            err.code = 'TIMEOUT';
+            reject(err);
+        }, ms);
+    });
+    return Promise.race([promise, limite]).finally(() => clearTimeout(timer));
+}
+
+//Executa a verificação com timeout e mede a latência. O erro é resumido (code/nome):
+//as respostas são públicas e não devem expor detalhes da infraestrutura.
+async function verificar(fn, timeoutMs) {
+    const inicio = process.hrtime.bigint();
+    const latencia = () => Number((process.hrtime.bigint() - inicio) / 1000000n);
+    try {
+        const detalhes = await comTimeout(Promise.resolve().then(fn), timeoutMs);
+        return { status: 'up', latencyMs: latencia(), ...detalhes };
+    } catch (err) {
+        return { status: 'down', latencyMs: latencia(), error: err.code || err.name, cause: err };
+    }
+}
+
+function criarVerificacoes({ pool, mongo, s3, s3Bucket, estadoLogs, estadoAplicacao = () => 'ativo', timeoutMs = 2000 }) {
+    //Dependências sem as quais a API não atende; os logs só aparecem como diagnóstico
+    const dependencias = {
+        mysql: async () => {
+            await pool.query('SELECT 1');
+        },
+
+        mongodb: async () => {
+            const { readyState } = mongo;
+            if (readyState !== 1) {
+                const err = new Error('MongoDB não conectado');
+                err.code = MONGO_STATES[readyState] ?? 'unknown';
+                throw err;
+            }
+            await mongo.db.admin().ping();
+        },
+
+        //Com HEALTH_S3_BUCKET confere o acesso ao bucket; sem ele, só a conectividade e as credenciais
+        s3: async () => {
+            if (s3Bucket) {
+                await s3.headBucket({ Bucket: s3Bucket }).promise();
+                return;
+            }
+            await s3.listBuckets().promise();
+        },
+    };
+
+    //Erros dos transportes aparecem só pelo code, como nas dependências
+    function situacaoDosLogs() {
+        const transports = estadoLogs().map(({ name, pending, lastSuccessAt, lastError, setupError, droppedBatches }) => ({
+            name,
+            ...(pending !== undefined && { pending, lastSuccessAt, droppedBatches }),
+            ...(lastError && { lastError: { code: lastError.code, at: lastError.at } }),
+            ...(setupError && { setupError: { code: setupError.code, at: setupError.at } }),
+        }));
+        const falhou = transports.some(t => t.setupError || (t.lastError && (!t.lastSuccessAt || t.lastError.at > t.lastSuccessAt)));
+        return { status: falhou ? 'degraded' : 'up', transports };
+    }
+
+    return {
+        //Liveness: o processo está de pé e respondendo
+        liveness() {
+            return { status: 'ok', uptime: Math.round(process.uptime()), timestamp: new Date().toISOString() };
+        },
+
+        //Readiness: a aplicação terminou de subir (e não está encerrando) e as dependências respondem dentro do timeout
+        async readiness() {
+            const nomes = Object.keys(dependencias);
+            const resultados = await Promise.all(nomes.map(nome => verificar(dependencias[nome], timeoutMs)));
+            const checks = Object.fromEntries(nomes.map((nome, i) => [nome, resultados[i]]));
+            const falhas = nomes.filter(nome => checks[nome].status !== 'up');
+            const state = estadoAplicacao();
+            const ready = state === 'ativo' && falhas.length === 0;
+
+            return {
+                ready,
+                falhas: falhas.map(nome => ({ nome, cause: checks[nome].cause })),
+                body: {
+                    status: ready ? 'ready' : 'not_ready',
+                    state,
+                    timestamp: new Date().toISOString(),
+                    checks: {
+                        ...Object.fromEntries(nomes.map(nome => {
+                            const { cause, ...check } = checks[nome];
+                            return [nome, check];
+                        })),
+                        logs: situacaoDosLogs(),
+                    },
+                },
+            };
+        },
+    };
+}
+
+module.exports = { criarVerificacoes };
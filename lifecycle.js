@@ -0,0 +1,145 @@
+const { criarLogger } = require('./logger');
+
+const logger = criarLogger({ module: 'lifecycle' });
+
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+//Repete fn com backoff exponencial até dar certo ou esgotar as tentativas
+async function comRetentativas(nome, fn, { retries, retryBaseMs, retryMaxMs }) {
+    for (let tentativa = 1; ; tentativa++) {
+        try {
+            return await fn();
+        } catch (err) {
+            if (tentativa > retries) throw err;
+            const espera = Math.min(retryMaxMs, retryBaseMs * 2 ** (tentativa - 1));
+            logger.warn(`Falha ao iniciar ${nome}, nova tentativa em ${espera}ms`, null, { tentativa, error: err });
+            await esperar(espera);
+        }
+    }
+}
+
+//Etapa que sobe o servidor HTTP e, no encerramento, para de aceitar conexões
+//e espera as requisições em andamento por até drainTimeoutMs antes de derrubá-las
+function etapaHttp(app, port, { drainTimeoutMs }) {
+    let server;
+    let drenando = false;
+    return {
+        iniciar: () => new Promise((resolve, reject) => {
+            server = app.listen(port);
+            //Durante a drenagem, a conexão keep-alive é fechada assim que a resposta termina
+            server.on('request', (req, res) => {
+                res.once('finish', () => {
+                    if (drenando) setImmediate(() => server.closeIdleConnections());
+                });
+            });
+            server.once('listening', () => {
+                logger.info('Servidor rodando', null, { port });
+                resolve();
+            });
+            server.once('error', reject);
+        }),
+
+        parar: () => new Promise((resolve) => {
+            drenando = true;
+            const timer = setTimeout(() => {
+                logger.warn('Tempo de drenagem esgotado, encerrando conexões abertas', null, { drainTimeoutMs });
+                server.closeAllConnections();
+            }, drainTimeoutMs);
+            server.close(() => {
+                clearTimeout(timer);
+                resolve();
+            });
+            //Conexões keep-alive ociosas não seguram o encerramento
+            server.closeIdleConnections();
+        }),
+    };
+}
+
+//Inicia as etapas em ordem e as encerra na ordem inversa
+function criarCicloDeVida({
+    retries = 5,
+    retryBaseMs = 500,
+    retryMaxMs = 10000,
+    shutdownTimeoutMs = 15000,
+} = {}) {
+    const etapas = [];
+    const iniciadas = [];
+    let estado = 'parado';
+    let encerramento;
+
+    async function encerrar(motivo) {
+        if (encerramento) return encerramento;
+        estado = 'encerrando';
+        logger.info('Encerrando a aplicação', null, { motivo });
+
+        encerramento = (async () => {
+            let falhou = false;
+            for (const etapa of [...iniciadas].reverse()) {
+                if (!etapa.parar) continue;
+                try {
+                    await etapa.parar();
+                } catch (err) {
+                    falhou = true;
+                    logger.error(`Erro ao encerrar ${etapa.nome}`, null, err);
+                }
+            }
+            estado = 'parado';
+            if (falhou) throw new Error('Encerramento concluído com erros');
+        })();
+        return encerramento;
+    }
+
+    return {
+        //retry: repete o início da etapa com backoff (conexões com bancos, por exemplo)
+        etapa(nome, { iniciar, parar, retry = false }) {
+            etapas.push({ nome, iniciar, parar, retry });
+            return this;
+        },
+
+        //Em caso de falha, encerra o que já tinha subido e propaga o erro
+        async iniciar() {
+            estado = 'iniciando';
+            for (const etapa of etapas) {
+                try {
+                    if (etapa.iniciar) {
+                        await (etapa.retry
+                            ? comRetentativas(etapa.nome, etapa.iniciar, { retries, retryBaseMs, retryMaxMs })
+                            : etapa.iniciar());
+                    }
+                    iniciadas.push(etapa);
+                } catch (err) {
+                    logger.error(`Erro ao iniciar ${etapa.nome}`, null, err);
+                    await encerrar('falha na inicialização').catch(() => {});
+                    throw err;
+                }
+            }
+            estado = 'ativo';
+        },
+
+        encerrar,
+
+        //SIGTERM/SIGINT disparam o encerramento; um segundo sinal ou o timeout forçam a saída
+        escutarSinais() {
+            const aoReceber = (sinal) => {
+                if (encerramento) {
+                    logger.warn('Sinal recebido durante o encerramento, saindo imediatamente', null, { sinal });
+                    process.exit(1);
+                }
+                setTimeout(() => {
+                    console.error(`Encerramento excedeu ${shutdownTimeoutMs}ms, saindo`);
+                    process.exit(1);
+                }, shutdownTimeoutMs).unref();
+
+                encerrar(sinal).then(() => process.exit(0), () => process.exit(1));
+            };
+            process.on('SIGTERM', aoReceber);
+            process.on('SIGINT', aoReceber);
+        },
+
+        get estado() {
+            return estado;
+        },
+    };
+}
+
+module.exports = { criarCicloDeVida, etapaHttp, comRetentativas };
@@ -1,83 +1,93 @@
-const AWS = require('aws-sdk');
-AWS.config.update({
-    accessKeyId: process.env.ACCESS_KEY_ID,
-    secretAccessKey: process.env.SECRET_ACCESS_KEY,
-    region: process.env.REGION,
-    sessionToken: process.env.SESSION_TOKEN,
-});
+const { transporteConsole, transporteArquivo, transporteCloudWatch } = require('./transports');
+const { obterRequestId } = require('./requestContext');
+const { criarRedator } = require('./redaction');
+const { config } = require('./config');
 
-const cloudwatchlogs = new AWS.CloudWatchLogs();
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = config.log.level;  //Nível mínimo registrado
 
-const LOG_GROUP_NAME = process.env.LOG_GROUP_NAME;  //Nome do Log Group
-const LOG_STREAM_NAME = process.env.LOG_STREAM_NAME;  //Nome do Log Stream
+//Transportes escolhidos por LOG_TRANSPORTS (ex. "console,file,cloudwatch").
+//Sem a variável, usa o CloudWatch quando há um Log Group configurado e o console caso contrário.
+function criarTransportes() {
+    const fabricas = {
+        console: () => transporteConsole({ format: config.log.format }),
+        file: () => transporteArquivo(config.log.file),
+        cloudwatch: () => transporteCloudWatch(config.log.cloudwatch),
+    };
 
-let sequenceToken = null;
+    return config.log.transports.map(nome => fabricas[nome]());
+}
 
-//Garante que grupo e stream existem
-async function ensureCloudWatchSetup() {
-    try {
-        const groups = await cloudwatchlogs.describeLogGroups({ logGroupNamePrefix: LOG_GROUP_NAME }).promise();
-        if (!groups.logGroups.find(g => g.logGroupName === LOG_GROUP_NAME)) {
-            await cloudwatchlogs.createLogGroup({ logGroupName: LOG_GROUP_NAME }).promise();
-        }
+const transportes = criarTransportes();
+const redigir = criarRedator(config.log.redaction);
 
-        const streams = await cloudwatchlogs.describeLogStreams({
-            logGroupName: LOG_GROUP_NAME,                                                                                               
-            logStreamNamePrefix: LOG_STREAM_NAME,
-        }).promise();
+//Mascara dados sensíveis e entrega o registro a todos os transportes, se o nível for suficiente
+function registrar(registro) {
+    if (LEVELS[registro.level] < LEVELS[LOG_LEVEL]) return;
 
-        if (streams.logStreams.length === 0) {
-            await cloudwatchlogs.createLogStream({ logGroupName: LOG_GROUP_NAME, logStreamName: LOG_STREAM_NAME }).promise();
-        } else {
-            sequenceToken = streams.logStreams[0].uploadSequenceToken;
-        }
+    let log;
+    try {
+        log = redigir(registro);
     } catch (err) {
-        console.error('Erro ao configurar CloudWatch:', err);
+        //Nunca envia o registro original se a redação falhar
+        log = { level: registro.level, message: '[Registro descartado: falha na redação]', route: registro.route };
+        console.error('Erro ao redigir log:', err);
     }
+
+    const timestamp = Date.now();
+    for (const transporte of transportes) {
+        try {
+            transporte.log(log, timestamp);
+        } catch (err) {
+            console.error('Erro ao registrar log:', err);
+        }
+    }
+}
+
+//Caminho da requisição sem a query string, que pode trazer dados pessoais (ex. ?email=): quem precisa da query
+//a registra como campo, onde a redação mascara pelo nome. O req.path não serve, é relativo ao router montado.
+function caminhoDaRequisicao(req) {
+    return req?.originalUrl?.split('?')[0] ?? '';
 }
 
-ensureCloudWatchSetup();
-
-// Enviar log para o CloudWatch
-async function enviarLogCloudWatch(message) {
-    console.log('Enviando log ' + new Date().toISOString());
-    const params = {
-        logEvents: [
-            {
-                message: JSON.stringify(message),
-                timestamp: Date.now(),
-            },
-        ],
-        logGroupName: LOG_GROUP_NAME,
-        logStreamName: LOG_STREAM_NAME,
-        sequenceToken,
+//Cria um logger que adiciona os campos de context a todos os registros
+function criarLogger(context = {}) {
+    const extrair = (req, extra) => {
+        const requestId = req?.id ?? obterRequestId();
+        //Um documento do Mongoose espalhado levaria _doc e $__; o toJSON devolve só os campos
+        const campos = typeof extra?.toJSON === 'function' ? extra.toJSON() : extra;
+        return [caminhoDaRequisicao(req), { ...(requestId && { requestId }), ...context, ...campos }];
     };
 
-    try {
-        const response = await cloudwatchlogs.putLogEvents(params).promise();
-        sequenceToken = response.nextSequenceToken;
-        console.log('Log enviado com sucesso ' + new Date().toISOString());
-    } catch (err) {
-        console.error('Erro ao enviar log:', err);
-    }
-}
+    return {
+        //Logar depuração
+        async debug(message, req, extra = {}) {
+            registrar(gerarLog('debug', message, ...extrair(req, extra)));
+        },
 
-//Logar informação
-async function logInfo(message, req, extra = {}) {
-    const log = gerarLog('info', message, req.originalUrl, extra);
+        //Logar informação
+        async info(message, req, extra = {}) {
+            registrar(gerarLog('info', message, ...extrair(req, extra)));
+        },
 
-    await enviarLogCloudWatch(log);
-}
+        //Logar aviso
+        async warn(message, req, extra = {}) {
+            registrar(gerarLog('warn', message, ...extrair(req, extra)));
+        },
 
-//Logar erro
-async function logError(message, req, error = {}, extra = {}) {
-    const url = req !== null ? req?.originalUrl : '';
-    let log = gerarLog('error', message, url, extra);
-    if (error) {
-        log.error = {error}
-    }
+        //Logar erro
+        //Sem erro (error null ou omitido), o registro não leva a chave error
+        async error(message, req, error, extra = {}) {
+            let log = gerarLog('error', message, ...extrair(req, extra));
+            if (error != null) {
+                log.error = error;  //Errors são serializados (name, message, code, stack) na redação
+            }
+
+            registrar(log);
+        },
 
-    await enviarLogCloudWatch(log);
+        child: (fields) => criarLogger({ ...context, ...fields }),
+    };
 }
 
 function gerarLog(level, message, rota, extra) {
@@ -89,4 +99,26 @@ function gerarLog(level, message, rota, extra) {
     };
 }
 
-module.exports = { logInfo, logError };
\ No newline at end of file
+//Envia imediatamente os logs pendentes de todos os transportes
+async function flushLogs() {
+    await Promise.all(transportes.map(transporte => transporte.flush?.()));
+}
+
+//Situação de cada transporte (ex. fila e último erro do CloudWatch), para diagnósticos
+function estadoLogs() {
+    return transportes.map(transporte => ({ name: transporte.name, ...transporte.estado?.() }));
+}
+
+const logger = criarLogger();
+
+module.exports = {
+    logger,
+    criarLogger,
+    caminhoDaRequisicao,
+    logDebug: logger.debug,
+    logInfo: logger.info,
+    logWarn: logger.warn,
+    logError: logger.error,
+    flushLogs,
+    estadoLogs,
+};
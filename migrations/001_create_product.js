@@ -0,0 +1,11 @@
+//Tabela original criada pelo antigo POST /init-db. O IF NOT EXISTS permite
+//que bancos já inicializados por ele adotem o controle de migrations.
+module.exports = {
+    up: `CREATE TABLE IF NOT EXISTS product (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        description VARCHAR(255) NOT NULL,
+        price DECIMAL(10,2) NOT NULL
+    );`,
+    down: 'DROP TABLE IF EXISTS product;',
+};
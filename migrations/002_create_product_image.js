@@ -0,0 +1,18 @@
+//Imagens dos produtos: o arquivo fica no S3 e a tabela guarda a referência, a ordem e a imagem principal.
+//Ao remover o produto as linhas saem em cascata; os objetos no S3 são removidos pela API.
+module.exports = {
+    up: `CREATE TABLE IF NOT EXISTS product_image (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        product_id INT NOT NULL,
+        bucket VARCHAR(63) NOT NULL,
+        s3_key VARCHAR(1024) NOT NULL,
+        content_type VARCHAR(255) NOT NULL,
+        size BIGINT NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_product_image_product (product_id, position),
+        CONSTRAINT fk_product_image_product FOREIGN KEY (product_id) REFERENCES product (id) ON DELETE CASCADE
+    );`,
+    down: 'DROP TABLE IF EXISTS product_image;',
+};
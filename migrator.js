@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+//Como CLI, uma configuração inválida encerra com a lista de problemas antes de carregar os módulos que a leem
+if (require.main === module) require('./config').configuracaoOuEncerrar();
+const { criarLogger, flushLogs } = require('./logger');
+
+const logger = criarLogger({ module: 'migrator' });
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+const LOCK_NAME = 'schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 10;
+
+//Lê os arquivos NNN_nome.js da pasta migrations, em ordem de versão
+function carregarMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => file.match(MIGRATION_FILE))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({
+            version: Number(version),
+            name,
+            file,
+            ...require(path.join(dir, file)),
+        }))
+        .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Versão de migration duplicada: ${migrations[i].version}`);
+        }
+    }
+    return migrations;
+}
+
+//Executa um passo (up/down) que pode ser SQL puro ou uma função async(conn)
+async function executarPasso(conn, passo) {
+    if (typeof passo === 'function') {
+        await passo(conn);
+    } else if (passo) {
+        await conn.query(passo);
+    }
+}
+
+//Abre uma conexão dedicada no banco, cria a tabela de controle e obtém o lock,
+//evitando que duas instâncias apliquem migrations ao mesmo tempo
+async function comConexao(pool, dbName, fn) {
+    const conn = await pool.getConnection();
+    let locked = false;
+    try {
+        await conn.query(`CREATE DATABASE IF NOT EXISTS \`${dbName}\``);
+        await conn.query(`USE \`${dbName}\``);
+        await conn.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        const [[{ acquired }]] = await conn.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+        if (acquired !== 1) throw new Error('Outra execução de migrations está em andamento');
+        locked = true;
+
+        return await fn(conn);
+    } finally {
+        if (locked) await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+        conn.release();
+    }
+}
+
+async function versoesAplicadas(conn) {
+    const [rows] = await conn.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return rows;
+}
+
+//Lista todas as migrations conhecidas e se já foram aplicadas
+async function statusMigrations(pool, dbName) {
+    return comConexao(pool, dbName, async (conn) => {
+        const aplicadas = new Map((await versoesAplicadas(conn)).map(row => [row.version, row]));
+        return carregarMigrations().map(({ version, name }) => ({
+            version,
+            name,
+            applied: aplicadas.has(version),
+            appliedAt: aplicadas.get(version)?.applied_at ?? null,
+        }));
+    });
+}
+
+//Aplica as migrations pendentes até a versão "to" (ou todas)
+async function aplicarMigrations(pool, dbName, { to } = {}) {
+    return comConexao(pool, dbName, async (conn) => {
+        const aplicadas = new Set((await versoesAplicadas(conn)).map(row => row.version));
+        const pendentes = carregarMigrations()
+            .filter(m => !aplicadas.has(m.version) && (to === undefined || m.version <= to));
+
+        const executadas = [];
+        for (const migration of pendentes) {
+            await executarPasso(conn, migration.up);
+            await conn.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+            executadas.push({ version: migration.version, name: migration.name });
+            logger.info('Migration aplicada', null, { version: migration.version, migration: migration.name });
+        }
+        return executadas;
+    });
+}
+
+//Reverte as últimas "steps" migrations aplicadas, da mais nova para a mais antiga
+async function reverterMigrations(pool, dbName, { steps = 1 } = {}) {
+    return comConexao(pool, dbName, async (conn) => {
+        const porVersao = new Map(carregarMigrations().map(m => [m.version, m]));
+        const alvo = (await versoesAplicadas(conn)).reverse().slice(0, steps);
+
+        const revertidas = [];
+        for (const { version, name } of alvo) {
+            const migration = porVersao.get(version);
+            if (!migration) throw new Error(`Arquivo da migration ${version} (${name}) não encontrado`);
+            await executarPasso(conn, migration.down);
+            await conn.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+            revertidas.push({ version, name });
+            logger.info('Migration revertida', null, { version, migration: name });
+        }
+        return revertidas;
+    });
+}
+
+module.exports = { carregarMigrations, statusMigrations, aplicarMigrations, reverterMigrations };
+
+//Uso: node migrator.js <up [versão] | down [passos] | status>
+if (require.main === module) {
+    const { pool, DB_NAME } = require('./db');
+    const [comando = 'status', arg] = process.argv.slice(2);
+    const USO = 'Uso: node migrator.js <up [versão] | down [passos] | status>';
+
+    //up aceita a versão alvo (inteiro >= 0) e down o número de passos (inteiro > 0)
+    const minimo = comando === 'down' ? 1 : 0;
+    if (arg !== undefined && (!/^\d+$/.test(arg) || Number(arg) < minimo)) {
+        console.error(`Argumento inválido: ${arg}. ${comando === 'down' ? 'Os passos devem ser um inteiro positivo' : 'A versão deve ser um inteiro'}.`);
+        console.error(USO);
+        process.exit(1);
+    }
+
+    const acoes = {
+        up: () => aplicarMigrations(pool, DB_NAME, { to: arg === undefined ? undefined : Number(arg) }),
+        down: () => reverterMigrations(pool, DB_NAME, { steps: arg === undefined ? 1 : Number(arg) }),
+        status: () => statusMigrations(pool, DB_NAME),
+    };
+
+    if (!acoes[comando]) {
+        console.error(`Comando desconhecido: ${comando}.`);
+        console.error(USO);
+        process.exit(1);
+    }
+
+    acoes[comando]()
+        .then(resultado => console.table(resultado))
+        .catch(err => {
+            console.error('Erro ao executar migrations:', err.message);
+            process.exitCode = 1;
+        })
+        .finally(() => Promise.all([pool.end(), flushLogs()]));
+}
@@ -0,0 +1,138 @@
+const { criarLogger } = require('./logger');
+
+const logger = criarLogger({ module: 'multipart' });
+
+//Operações de upload multipart sobre um cliente S3 (real, MinIO ou mock em memória)
+function criarServicoMultipart(s3) {
+    //Lista todas as partes já enviadas, percorrendo as páginas do listParts
+    async function listarPartes({ bucket, key, uploadId }) {
+        const partes = [];
+        let marker;
+        do {
+            const data = await s3.listParts({
+                Bucket: bucket,
+                Key: key,
+                UploadId: uploadId,
+                PartNumberMarker: marker,
+            }).promise();
+            for (const part of data.Parts || []) {
+                partes.push({
+                    partNumber: part.PartNumber,
+                    etag: part.ETag,
+                    size: part.Size,
+                    lastModified: part.LastModified,
+                });
+            }
+            marker = data.IsTruncated ? data.NextPartNumberMarker : undefined;
+        } while (marker !== undefined);
+        return partes;
+    }
+
+    return {
+        async iniciar({ bucket, key, contentType }) {
+            const params = { Bucket: bucket, Key: key };
+            if (contentType) params.ContentType = contentType;
+            const data = await s3.createMultipartUpload(params).promise();
+            return { uploadId: data.UploadId, key: data.Key };
+        },
+
+        //URLs pré-assinadas para o cliente enviar cada parte direto ao S3
+        async urlsDasPartes({ bucket, key, uploadId, partNumbers, expiresIn }) {
+            return Promise.all(partNumbers.map(async (partNumber) => ({
+                partNumber,
+                url: await s3.getSignedUrlPromise('uploadPart', {
+                    Bucket: bucket,
+                    Key: key,
+                    UploadId: uploadId,
+                    PartNumber: partNumber,
+                    Expires: expiresIn,
+                }),
+            })));
+        },
+
+        //Envia uma parte pelo servidor (body pode ser um stream com contentLength conhecido)
+        async enviarParte({ bucket, key, uploadId, partNumber, body, contentLength }) {
+            const data = await s3.uploadPart({
+                Bucket: bucket,
+                Key: key,
+                UploadId: uploadId,
+                PartNumber: partNumber,
+                Body: body,
+                ContentLength: contentLength,
+            }).promise();
+            return { partNumber, etag: data.ETag };
+        },
+
+        listarPartes,
+
+        //Sem a lista de partes, conclui com todas as partes já enviadas
+        async concluir({ bucket, key, uploadId, parts }) {
+            const partes = parts ?? await listarPartes({ bucket, key, uploadId });
+            const data = await s3.completeMultipartUpload({
+                Bucket: bucket,
+                Key: key,
+                UploadId: uploadId,
+                MultipartUpload: {
+                    Parts: partes
+                        .map(({ partNumber, etag }) => ({ PartNumber: partNumber, ETag: etag }))
+                        .sort((a, b) => a.PartNumber - b.PartNumber),
+                },
+            }).promise();
+            return { location: data.Location, key: data.Key, etag: data.ETag };
+        },
+
+        async abortar({ bucket, key, uploadId }) {
+            await s3.abortMultipartUpload({ Bucket: bucket, Key: key, UploadId: uploadId }).promise();
+        },
+    };
+}
+
+//Aborta os uploads iniciados há mais de maxAgeMs nos buckets informados
+async function limparUploadsAbandonados(s3, { buckets, maxAgeMs }) {
+    const limite = Date.now() - maxAgeMs;
+    const abortados = [];
+
+    for (const bucket of buckets) {
+        let keyMarker;
+        let uploadIdMarker;
+        do {
+            const data = await s3.listMultipartUploads({
+                Bucket: bucket,
+                KeyMarker: keyMarker,
+                UploadIdMarker: uploadIdMarker,
+            }).promise();
+
+            for (const upload of data.Uploads || []) {
+                if (new Date(upload.Initiated).getTime() > limite) continue;
+                await s3.abortMultipartUpload({ Bucket: bucket, Key: upload.Key, UploadId: upload.UploadId }).promise();
+                abortados.push({ bucket, key: upload.Key, uploadId: upload.UploadId });
+            }
+
+            keyMarker = data.IsTruncated ? data.NextKeyMarker : undefined;
+            uploadIdMarker = data.IsTruncated ? data.NextUploadIdMarker : undefined;
+        } while (keyMarker !== undefined);
+    }
+    return abortados;
+}
+
+//Executa a limpeza periodicamente em segundo plano, sem manter o processo vivo
+function iniciarLimpezaMultipart(s3, { buckets, maxAgeMs, intervalMs }) {
+    const executar = async () => {
+        try {
+            const abortados = await limparUploadsAbandonados(s3, { buckets, maxAgeMs });
+            if (abortados.length > 0) {
+                logger.info('Uploads multipart abandonados abortados', null, { total: abortados.length, uploads: abortados });
+            }
+            return abortados;
+        } catch (err) {
+            logger.error('Erro ao limpar uploads multipart abandonados', null, err);
+            return [];
+        }
+    };
+
+    const timer = setInterval(executar, intervalMs);
+    timer.unref();
+    return { executar, parar: () => clearInterval(timer) };
+}
+
+module.exports = { criarServicoMultipart, limparUploadsAbandonados, iniciarLimpezaMultipart };
@@ -0,0 +1,89 @@
+//Objetos de um bucket: listagem, metadados, download por streaming, remoção, URL de download e POST policy
+
+//Metadados de um objeto no formato da API
+function metadadosDoObjeto(key, data) {
+    return {
+        key,
+        size: data.ContentLength,
+        contentType: data.ContentType,
+        etag: data.ETag,
+        lastModified: data.LastModified,
+        storageClass: data.StorageClass ?? 'STANDARD',
+        metadata: data.Metadata,
+    };
+}
+
+//Operações sobre os objetos com um cliente S3 (real, MinIO ou mock em memória)
+function criarServicoObjetos(s3) {
+    return {
+        //Uma página da listagem; com delimiter, as "pastas" do nível vêm em prefixes
+        async listar({ bucket, prefix, delimiter, continuationToken, maxKeys }) {
+            const params = { Bucket: bucket, MaxKeys: maxKeys };
+            if (prefix) params.Prefix = prefix;
+            if (delimiter) params.Delimiter = delimiter;
+            if (continuationToken) params.ContinuationToken = continuationToken;
+
+            const data = await s3.listObjectsV2(params).promise();
+            return {
+                objects: (data.Contents || []).map(obj => ({
+                    key: obj.Key,
+                    size: obj.Size,
+                    etag: obj.ETag,
+                    lastModified: obj.LastModified,
+                    storageClass: obj.StorageClass,
+                })),
+                prefixes: (data.CommonPrefixes || []).map(p => p.Prefix),
+                isTruncated: Boolean(data.IsTruncated),
+                nextContinuationToken: data.NextContinuationToken ?? null,
+            };
+        },
+
+        async metadados(bucket, key) {
+            return metadadosDoObjeto(key, await s3.headObject({ Bucket: bucket, Key: key }).promise());
+        },
+
+        //Download por streaming. aoReceberHeaders(statusCode, headers) é chamado quando o S3 responde com sucesso,
+        //antes do corpo; um 304 (If-None-Match / If-Modified-Since) chega como erro do stream com statusCode 304
+        baixar({ bucket, key, range, ifNoneMatch, ifModifiedSince }, aoReceberHeaders) {
+            const params = { Bucket: bucket, Key: key };
+            if (range) params.Range = range;
+            if (ifNoneMatch) params.IfNoneMatch = ifNoneMatch;
+            if (ifModifiedSince) params.IfModifiedSince = ifModifiedSince;
+
+            const request = s3.getObject(params);
+            request.on('httpHeaders', (statusCode, headers) => {
+                if (statusCode < 300) aoReceberHeaders(statusCode, headers);
+            });
+            return { stream: request.createReadStream(), abortar: () => request.abort() };
+        },
+
+        async remover(bucket, key) {
+            await s3.deleteObject({ Bucket: bucket, Key: key }).promise();
+        },
+
+        //Confere que o objeto existe antes de assinar, para não entregar URLs que respondem 404
+        async urlDeDownload({ bucket, key, fileName, expiresIn }) {
+            await s3.headObject({ Bucket: bucket, Key: key }).promise();
+
+            const params = { Bucket: bucket, Key: key, Expires: expiresIn };
+            if (fileName) {
+                params.ResponseContentDisposition = `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+            }
+            return s3.getSignedUrlPromise('getObject', params);
+        },
+
+        //POST policy para upload via formulário do navegador: { url, fields }
+        postPolicy({ bucket, fields, conditions, expiresIn }) {
+            return new Promise((resolve, reject) => {
+                s3.createPresignedPost({
+                    Bucket: bucket,
+                    Fields: fields,
+                    Conditions: conditions,
+                    Expires: expiresIn,
+                }, (err, data) => err ? reject(err) : resolve(data));
+            });
+        },
+    };
+}
+
+module.exports = { criarServicoObjetos };
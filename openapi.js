@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+//Como CLI, uma configuração inválida encerra com a lista de problemas antes de carregar os módulos que a leem
+if (require.main === module) require('./config').configuracaoOuEncerrar();
+const { autenticar } = require('./auth');
+const schemas = require('./schemas');
+
+const METODOS = ['get', 'post', 'put', 'patch', 'delete', 'head'];
+
+//Caminho do Express no formato do OpenAPI: /:id vira /{id} e o curinga /*key vira /{key}
+function caminhoOpenApi(prefixo, caminho) {
+    const completo = `${prefixo.replace(/\/$/, '')}${caminho === '/' && prefixo !== '/' ? '' : caminho}`;
+    return completo.replace(/[:*](\w+)/g, '{$1}');
+}
+
+//Rotas declaradas nos routers (criarRoteadores do app.js), indicando se exigem token, o schema do body e o limite próprio
+function listarRotas(roteadores) {
+    const rotas = [];
+    for (const { prefixo, router } of roteadores) {
+        for (const layer of router.stack) {
+            if (!layer.route) continue;
+            const handles = layer.route.stack.map(l => l.handle);
+            const schema = handles.find(h => h.schema)?.schema;
+            const limite = handles.find(h => h.limite)?.limite;
+            for (const metodo of METODOS) {
+                if (!layer.route.methods[metodo]) continue;
+                rotas.push({
+                    metodo,
+                    caminho: caminhoOpenApi(prefixo, layer.route.path),
+                    autenticada: handles.includes(autenticar),
+                    schema,
+                    limite,
+                });
+            }
+        }
+    }
+    return rotas;
+}
+
+//Nome do schema em components.schemas a partir do objeto usado no validarBody
+function nomeDoSchema(schema) {
+    return Object.keys(schemas).find(nome => schemas[nome] === schema);
+}
+
+//Resolve um $ref local (#/components/...) da especificação
+function resolverRef(spec, ref) {
+    return ref.replace(/^#\//, '').split('/').reduce((no, chave) => no?.[chave], spec);
+}
+
+//Compara a especificação com as rotas e devolve a lista de divergências (vazia quando estão alinhadas)
+function verificarEspecificacao(spec, rotas) {
+    const problemas = [];
+    const documentadas = new Set();
+
+    for (const [caminho, item] of Object.entries(spec.paths)) {
+        for (const metodo of METODOS) {
+            if (item[metodo]) documentadas.add(`${metodo.toUpperCase()} ${caminho}`);
+        }
+    }
+
+    for (const rota of rotas) {
+        const id = `${rota.metodo.toUpperCase()} ${rota.caminho}`;
+        const operacao = spec.paths[rota.caminho]?.[rota.metodo];
+        if (!operacao) {
+            problemas.push(`${id}: rota sem documentação`);
+            continue;
+        }
+        documentadas.delete(id);
+
+        if (!operacao.tags?.length) problemas.push(`${id}: sem tag`);
+        const respostas = Object.keys(operacao.responses ?? {});
+
+        //Parâmetros do caminho declarados com in: path
+        const parametros = [...(spec.paths[rota.caminho].parameters ?? []), ...(operacao.parameters ?? [])]
+            .map(p => p.$ref ? resolverRef(spec, p.$ref) : p);
+        for (const [, nome] of rota.caminho.matchAll(/\{(\w+)\}/g)) {
+            if (!parametros.some(p => p?.in === 'path' && p.name === nome)) {
+                problemas.push(`${id}: parâmetro de caminho ${nome} não documentado`);
+            }
+        }
+
+        //Segurança: rotas com autorizar exigem o bearer e descrevem 401/403; as públicas usam security: []
+        const publica = Array.isArray(operacao.security) && operacao.security.length === 0;
+        if (rota.autenticada && publica) problemas.push(`${id}: exige token, mas está documentada com security: []`);
+        if (!rota.autenticada && !publica) problemas.push(`${id}: é pública, mas não está documentada com security: []`);
+        if (rota.autenticada) {
+            for (const status of ['401', '403']) {
+                if (!respostas.includes(status)) problemas.push(`${id}: resposta ${status} não documentada`);
+            }
+        }
+
+        //Limite próprio da rota (rateLimit.js): o 429 precisa estar descrito
+        if (rota.limite && !respostas.includes('429')) problemas.push(`${id}: resposta 429 não documentada (limite ${rota.limite})`);
+
+        //Body: o schema documentado é o mesmo usado pelo validarBody
+        if (rota.schema) {
+            const nome = nomeDoSchema(rota.schema);
+            const ref = operacao.requestBody?.content?.['application/json']?.schema?.$ref;
+            if (!nome) {
+                problemas.push(`${id}: o schema do validarBody não está exportado em schemas.js`);
+            } else if (ref !== `#/components/schemas/${nome}`) {
+                problemas.push(`${id}: requestBody deveria referenciar #/components/schemas/${nome} (documentado: ${ref ?? 'nenhum'})`);
+            }
+            if (!respostas.includes('400')) problemas.push(`${id}: resposta 400 não documentada`);
+        }
+    }
+
+    for (const id of documentadas) {
+        problemas.push(`${id}: documentada, mas a rota não existe`);
+    }
+
+    //Todo $ref precisa apontar para um componente existente
+    JSON.stringify(spec, (chave, valor) => {
+        if (chave === '$ref' && typeof valor === 'string' && resolverRef(spec, valor) === undefined) {
+            problemas.push(`$ref sem destino: ${valor}`);
+        }
+        return valor;
+    });
+
+    return problemas;
+}
+
+//Arquivos do cliente gerado além do schema.d.ts: um wrapper do openapi-fetch que envia o token
+const CLIENTE_JS = `//Gerado por npm run client a partir da especificação OpenAPI. Não edite.
+import createClient from 'openapi-fetch';
+
+//token pode ser o próprio JWT ou uma função que o retorna a cada requisição
+export function criarClienteApi({ baseUrl, token }) {
+    const client = createClient({ baseUrl });
+    if (token) {
+        client.use({
+            onRequest({ request }) {
+                const valor = typeof token === 'function' ? token() : token;
+                if (valor) request.headers.set('Authorization', \`Bearer \${valor}\`);
+                return request;
+            },
+        });
+    }
+    return client;
+}
+`;
+
+const CLIENTE_DTS = `//Gerado por npm run client a partir da especificação OpenAPI. Não edite.
+import type { Client } from 'openapi-fetch';
+import type { paths } from './schema';
+
+export type { paths, components, operations } from './schema';
+
+export declare function criarClienteApi(opcoes: {
+    baseUrl: string;
+    token?: string | (() => string | undefined);
+}): Client<paths>;
+`;
+
+//package.json do cliente gerado: o openapi-fetch fica como peerDependency, na mesma faixa de versão
+//declarada nas devDependencies desta API, e deve ser instalado pelo projeto do frontend
+function pacoteDoCliente() {
+    const { name, version, devDependencies } = require('./package.json');
+    return {
+        name: `${name}-client`,
+        version,
+        private: true,
+        type: 'module',
+        main: 'index.js',
+        types: 'index.d.ts',
+        peerDependencies: { 'openapi-fetch': devDependencies['openapi-fetch'] },
+    };
+}
+
+//Gera o cliente tipado (TypeScript ou JavaScript com tipos) para o frontend em destino.
+//Os tipos vêm do openapi-typescript; em tempo de execução o cliente depende apenas do openapi-fetch.
+async function gerarCliente(spec, destino) {
+    const { default: openapiTS, astToString } = await import('openapi-typescript');
+    const tipos = astToString(await openapiTS(spec));
+
+    fs.mkdirSync(destino, { recursive: true });
+    fs.writeFileSync(path.join(destino, 'openapi.json'), `${JSON.stringify(spec, null, 2)}\n`);
+    fs.writeFileSync(path.join(destino, 'schema.d.ts'), tipos);
+    fs.writeFileSync(path.join(destino, 'index.js'), CLIENTE_JS);
+    fs.writeFileSync(path.join(destino, 'index.d.ts'), CLIENTE_DTS);
+    fs.writeFileSync(path.join(destino, 'package.json'), `${JSON.stringify(pacoteDoCliente(), null, 2)}\n`);
+}
+
+module.exports = { listarRotas, verificarEspecificacao, caminhoOpenApi, gerarCliente };
+
+//Uso: node openapi.js <check | export [arquivo] | client [pasta]>
+//check: falha (exit 1) se a documentação divergir das rotas; export: grava a especificação em JSON (padrão openapi.json);
+//client: gera o cliente tipado do frontend (padrão client/), que tem o openapi-fetch como peerDependency
+if (require.main === module) {
+    const { swaggerSpec } = require('./swagger');
+    const [comando = 'check', destino] = process.argv.slice(2);
+
+    const acoes = {
+        check: () => {
+            //Os clientes só são criados, nenhuma conexão é aberta
+            const mongoose = require('mongoose');
+            const { pool, DB_NAME } = require('./db');
+            const AWS = require('./aws');
+            const { logger } = require('./logger');
+            const { criarRoteadores } = require('./app');
+
+            const roteadores = criarRoteadores({ mysql: { pool, database: DB_NAME }, mongo: mongoose.connection, s3: new AWS.S3(), logger });
+            const rotas = listarRotas(roteadores);
+            const problemas = verificarEspecificacao(swaggerSpec, rotas);
+            pool.end();
+
+            if (problemas.length > 0) {
+                console.error(`A especificação OpenAPI diverge das rotas (${problemas.length}):`);
+                for (const problema of problemas) console.error(`  - ${problema}`);
+                process.exitCode = 1;
+                return;
+            }
+            console.log(`Especificação OpenAPI alinhada com as ${rotas.length} rotas`);
+        },
+        export: () => {
+            const arquivo = destino ?? 'openapi.json';
+            fs.mkdirSync(path.dirname(path.resolve(arquivo)), { recursive: true });
+            fs.writeFileSync(arquivo, `${JSON.stringify(swaggerSpec, null, 2)}\n`);
+            console.log(`Especificação OpenAPI gravada em ${arquivo}`);
+        },
+        client: () => gerarCliente(swaggerSpec, destino ?? 'client')
+            .then(() => console.log(`Cliente gerado em ${destino ?? 'client'}`))
+            .catch(err => {
+                console.error('Erro ao gerar o cliente:', err.message);
+                process.exitCode = 1;
+            }),
+    };
+
+    if (!acoes[comando]) {
+        console.error(`Comando desconhecido: ${comando}. Use check, export ou client.`);
+        process.exit(1);
+    }
+    acoes[comando]();
+}
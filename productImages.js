@@ -0,0 +1,153 @@
+const DELETE_CHUNK_SIZE = 1000;
+
+//Linha da tabela product_image no formato da API
+const imagemDaLinha = (row) => ({
+    id: row.id,
+    key: row.s3_key,
+    contentType: row.content_type,
+    size: Number(row.size),
+    position: row.position,
+    isPrimary: Boolean(row.is_primary),
+    createdAt: row.created_at,
+});
+
+//Imagens de produto: objetos no S3 sob um prefixo por produto e referências na tabela product_image
+function criarServicoImagensProduto({ s3, pool, dbName, urlExpiresIn }) {
+    //Conexão dedicada no banco da aplicação; com transaction, faz commit ou rollback ao final
+    async function comBanco(fn, { transaction = false } = {}) {
+        const conn = await pool.getConnection();
+        try {
+            await conn.query(`USE \`${dbName}\``);
+            if (!transaction) return await fn(conn);
+
+            await conn.beginTransaction();
+            try {
+                const resultado = await fn(conn);
+                await conn.commit();
+                return resultado;
+            } catch (err) {
+                await conn.rollback();
+                throw err;
+            }
+        } finally {
+            conn.release();
+        }
+    }
+
+    async function linhasDoProduto(conn, productId) {
+        const [rows] = await conn.query(
+            'SELECT * FROM product_image WHERE product_id = ? ORDER BY position ASC, id ASC',
+            [productId],
+        );
+        return rows;
+    }
+
+    //Regrava as posições na ordem recebida e garante exatamente uma imagem principal
+    async function normalizar(conn, productId, rows, primaryId) {
+        const principal = primaryId ?? (rows.find(row => row.is_primary) ?? rows[0])?.id;
+        for (const [position, row] of rows.entries()) {
+            await conn.query(
+                'UPDATE product_image SET position = ?, is_primary = ? WHERE id = ? AND product_id = ?',
+                [position, row.id === principal, row.id, productId],
+            );
+        }
+    }
+
+    async function comUrl(imagem, row) {
+        const url = await s3.getSignedUrlPromise('getObject', { Bucket: row.bucket, Key: row.s3_key, Expires: urlExpiresIn });
+        return { ...imagem, url, expiresIn: urlExpiresIn };
+    }
+
+    async function removerObjetos(objetos) {
+        const porBucket = new Map();
+        for (const { bucket, key } of objetos) {
+            porBucket.set(bucket, [...(porBucket.get(bucket) || []), key]);
+        }
+        for (const [bucket, keys] of porBucket) {
+            for (let i = 0; i < keys.length; i += DELETE_CHUNK_SIZE) {
+                const bloco = keys.slice(i, i + DELETE_CHUNK_SIZE);
+                await s3.deleteObjects({ Bucket: bucket, Delete: { Objects: bloco.map(Key => ({ Key })), Quiet: true } }).promise();
+            }
+        }
+    }
+
+    return {
+        async produtoExiste(productId) {
+            return comBanco(async (conn) => {
+                const [rows] = await conn.query('SELECT id FROM product WHERE id = ?', [productId]);
+                return rows.length > 0;
+            });
+        },
+
+        //Imagens do produto em ordem, com URLs pré-assinadas de download
+        async listar(productId) {
+            const rows = await comBanco(conn => linhasDoProduto(conn, productId));
+            return Promise.all(rows.map(row => comUrl(imagemDaLinha(row), row)));
+        },
+
+        //Registra os arquivos já enviados ao S3 no fim da lista; o primeiro vira principal se não houver uma
+        async adicionar(productId, files) {
+            const rows = await comBanco(async (conn) => {
+                const [[produto]] = await conn.query('SELECT id FROM product WHERE id = ? FOR UPDATE', [productId]);
+                if (!produto) return null;
+
+                const atuais = await linhasDoProduto(conn, productId);
+                let position = atuais.length;
+                for (const file of files) {
+                    await conn.query(
+                        'INSERT INTO product_image (product_id, bucket, s3_key, content_type, size, position) VALUES (?, ?, ?, ?, ?, ?)',
+                        [productId, file.bucket, file.key, file.contentType, file.size, position++],
+                    );
+                }
+                const todas = await linhasDoProduto(conn, productId);
+                await normalizar(conn, productId, todas);
+                return linhasDoProduto(conn, productId);
+            }, { transaction: true });
+            if (!rows) return null;
+            return Promise.all(rows.map(row => comUrl(imagemDaLinha(row), row)));
+        },
+
+        //Move a imagem para outra posição e/ou a torna principal
+        async atualizar(productId, imageId, { position, isPrimary }) {
+            const rows = await comBanco(async (conn) => {
+                const atuais = await linhasDoProduto(conn, productId);
+                const imagem = atuais.find(row => row.id === imageId);
+                if (!imagem) return null;
+
+                const ordem = atuais.filter(row => row.id !== imageId);
+                ordem.splice(position ?? atuais.indexOf(imagem), 0, imagem);
+                await normalizar(conn, productId, ordem, isPrimary ? imageId : undefined);
+                return linhasDoProduto(conn, productId);
+            }, { transaction: true });
+            if (!rows) return null;
+            return Promise.all(rows.map(row => comUrl(imagemDaLinha(row), row)));
+        },
+
+        //Remove a referência e o objeto; se era a principal, a próxima da lista assume
+        async remover(productId, imageId) {
+            const removida = await comBanco(async (conn) => {
+                const atuais = await linhasDoProduto(conn, productId);
+                const imagem = atuais.find(row => row.id === imageId);
+                if (!imagem) return null;
+
+                await conn.query('DELETE FROM product_image WHERE id = ?', [imageId]);
+                await normalizar(conn, productId, atuais.filter(row => row.id !== imageId));
+                return imagem;
+            }, { transaction: true });
+            if (!removida) return null;
+
+            await removerObjetos([{ bucket: removida.bucket, key: removida.s3_key }]);
+            return imagemDaLinha(removida);
+        },
+
+        //Objetos de todas as imagens do produto, para limpar o S3 depois de removê-lo
+        async objetosDoProduto(productId) {
+            const rows = await comBanco(conn => linhasDoProduto(conn, productId));
+            return rows.map(row => ({ bucket: row.bucket, key: row.s3_key }));
+        },
+
+        removerObjetos,
+    };
+}
+
+module.exports = { criarServicoImagensProduto };
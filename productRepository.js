@@ -0,0 +1,94 @@
+const { consultaInvalida } = require('./validation');
+
+const PRODUCT_SORT_FIELDS = ['id', 'name', 'price'];
+const PRODUCT_MAX_LIMIT = 100;
+
+//Monta o WHERE, ORDER BY e LIMIT da listagem de produtos a partir da query string
+function montarConsultaProdutos(query) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const limit = query.limit === undefined ? 20 : Number(query.limit);
+    if (!Number.isInteger(page) || page < 1) throw consultaInvalida('page', 'deve ser um inteiro positivo');
+    if (!Number.isInteger(limit) || limit < 1 || limit > PRODUCT_MAX_LIMIT) {
+        throw consultaInvalida('limit', `deve ser um inteiro entre 1 e ${PRODUCT_MAX_LIMIT}`);
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (query.name) {
+        conditions.push('name LIKE ?');
+        params.push(`%${String(query.name).replace(/[\\%_]/g, '\\$&')}%`);
+    }
+    for (const [param, operator] of [['minPrice', '>='], ['maxPrice', '<=']]) {
+        if (query[param] === undefined) continue;
+        const value = Number(query[param]);
+        if (query[param] === '' || Number.isNaN(value)) throw consultaInvalida(param, 'deve ser um número');
+        conditions.push(`price ${operator} ?`);
+        params.push(value);
+    }
+
+    //Colunas não podem ser parametrizadas, por isso o sort é validado contra uma lista fixa
+    let orderBy = 'id ASC';
+    if (query.sort) {
+        const [field, direction = 'asc'] = String(query.sort).split(':');
+        if (!PRODUCT_SORT_FIELDS.includes(field) || !['asc', 'desc'].includes(direction.toLowerCase())) {
+            throw consultaInvalida('sort', `deve estar no formato <${PRODUCT_SORT_FIELDS.join('|')}>:<asc|desc>`);
+        }
+        orderBy = `${field} ${direction.toUpperCase()}`;
+        if (field !== 'id') orderBy += ', id ASC';
+    }
+
+    return {
+        page,
+        limit,
+        where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+        params,
+        orderBy,
+    };
+}
+
+//Produtos na tabela product do MySQL
+function criarRepositorioProdutos({ pool, database }) {
+    //O pool não tem banco padrão: cada operação usa uma conexão dedicada já no banco da aplicação
+    async function consultar(sql, params) {
+        const conn = await pool.getConnection();
+        try {
+            await conn.query(`USE \`${database}\``);
+            const [resultado] = await conn.query(sql, params);
+            return resultado;
+        } finally {
+            conn.release();
+        }
+    }
+
+    return {
+        //Página da listagem já filtrada e ordenada por montarConsultaProdutos
+        async listar({ page, limit, where, params, orderBy }) {
+            const [{ total }] = await consultar(`SELECT COUNT(*) AS total FROM product ${where}`, params);
+            const rows = await consultar(
+                `SELECT * FROM product ${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+                [...params, limit, (page - 1) * limit],
+            );
+            return { rows, total };
+        },
+
+        async buscar(id) {
+            const rows = await consultar('SELECT * FROM product WHERE id = ?', [id]);
+            return rows[0] ?? null;
+        },
+
+        criar({ name, description, price }) {
+            return consultar('INSERT INTO product (name, description, price) VALUES (?, ?, ?)', [name, description, price]);
+        },
+
+        atualizar(id, { name, description, price }) {
+            return consultar('UPDATE product SET name = ?, description = ?, price = ? WHERE id = ?', [name, description, price, id]);
+        },
+
+        remover(id) {
+            return consultar('DELETE FROM product WHERE id = ?', [id]);
+        },
+    };
+}
+
+module.exports = { criarRepositorioProdutos, montarConsultaProdutos };
@@ -0,0 +1,143 @@
+const { TooManyRequestsError } = require('./errors');
+const { logger: loggerPadrao } = require('./logger');
+
+//Limites das rotas que mais pesam no MongoDB/S3, por cliente. RATE_LIMIT_ROUTES sobrescreve ou acrescenta.
+const LIMITES_DE_ROTA = {
+    'usuarios:listar': { max: 60 },
+    'buckets:listar-objetos': { max: 60 },
+    'buckets:upload': { max: 10 },
+};
+
+//Store em memória com janela deslizante aproximada: o contador da janela atual
+//mais o da anterior, proporcional ao tempo que ela ainda cobre.
+//Outro store (Redis, por exemplo) só precisa implementar consumir(chave, { max, windowMs })
+//e devolver { permitido, restante, reiniciaEmMs }.
+function criarStoreMemoria({ intervaloLimpezaMs = 60000 } = {}) {
+    const contadores = new Map();
+
+    //Remove os clientes sem requisições nas duas últimas janelas, sem manter o processo vivo
+    const timer = setInterval(() => {
+        const agora = Date.now();
+        for (const [chave, contador] of contadores) {
+            if (agora - contador.inicio >= 2 * contador.windowMs) contadores.delete(chave);
+        }
+    }, intervaloLimpezaMs);
+    timer.unref();
+
+    return {
+        async consumir(chave, { max, windowMs }) {
+            const agora = Date.now();
+            const inicio = agora - (agora % windowMs);
+
+            let contador = contadores.get(chave);
+            if (!contador || contador.windowMs !== windowMs || inicio - contador.inicio >= 2 * windowMs) {
+                contador = { inicio, windowMs, atual: 0, anterior: 0 };
+            } else if (contador.inicio !== inicio) {
+                contador = { inicio, windowMs, atual: 0, anterior: contador.atual };
+            }
+            contadores.set(chave, contador);
+
+            const decorrido = agora - inicio;
+            const { atual, anterior } = contador;
+            const usadas = anterior * (1 - decorrido / windowMs) + atual;
+
+            if (usadas + 1 > max) {
+                //Espera até o peso da janela anterior cair o suficiente para caber mais uma requisição;
+                //com a janela atual cheia, isso só acontece durante a próxima
+                const esperaMs = atual + 1 > max
+                    ? windowMs - decorrido + (1 - (max - 1) / atual) * windowMs
+                    : (1 - (max - 1 - atual) / anterior) * windowMs - decorrido;
+                return { permitido: false, restante: 0, reiniciaEmMs: Math.max(1, Math.ceil(esperaMs)) };
+            }
+
+            contador.atual++;
+            return { permitido: true, restante: Math.floor(max - usadas - 1), reiniciaEmMs: windowMs - decorrido };
+        },
+
+        parar: () => clearInterval(timer),
+    };
+}
+
+//Cliente da requisição: o usuário do token (preenchido pelo identificar) ou o IP
+const clienteDaRequisicao = (req) => req.user?.id ? `usuario:${req.user.id}` : `ip:${req.ip}`;
+
+//Headers RateLimit-* (draft da IETF). Com mais de um limite na mesma rota, prevalece o mais restritivo.
+function definirHeaders(res, { max, windowMs }, { restante, reiniciaEmMs }) {
+    const anterior = res.get('RateLimit-Remaining');
+    if (anterior !== undefined && Number(anterior) < restante) return;
+
+    res.set({
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(restante),
+        'RateLimit-Reset': String(Math.ceil(reiniciaEmMs / 1000)),
+        'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`,
+    });
+}
+
+//Limites de requisições por cliente: global (todas as rotas, com cotas por cliente em clients)
+//e por rota (rota(nome), aplicado depois do autorizar). As rejeições respondem 429 com Retry-After e vão para o logger.
+function criarLimites({
+    enabled = true,
+    windowMs,
+    max,
+    clients = {},
+    routes = {},
+    store = criarStoreMemoria(),
+    logger = loggerPadrao,
+}) {
+    const limitesDeRota = Object.fromEntries(
+        Object.entries({ ...LIMITES_DE_ROTA, ...routes }).map(([nome, limite]) => [nome, { windowMs, ...limite }]),
+    );
+
+    const cota = (cliente) => cliente !== undefined && Object.hasOwn(clients, cliente) ? clients[cliente] : undefined;
+
+    function limitar(nome, limiteDoCliente) {
+        return async (req, res, next) => {
+            if (!enabled) return next();
+
+            const cliente = clienteDaRequisicao(req);
+            const limite = limiteDoCliente(req);
+            let resultado;
+            try {
+                resultado = await store.consumir(`${nome}:${cliente}`, limite);
+            } catch (err) {
+                //Sem o store, a requisição segue: o limite não deve derrubar a API
+                logger.error('Erro ao consultar o limite de requisições', req, err, { limit: nome });
+                return next();
+            }
+
+            definirHeaders(res, limite, resultado);
+            if (resultado.permitido) return next();
+
+            const retryAfter = Math.ceil(resultado.reiniciaEmMs / 1000);
+            res.set('Retry-After', String(retryAfter));
+            logger.error('Limite de requisições excedido', req, null, {
+                limit: nome,
+                client: cliente,
+                max: limite.max,
+                windowMs: limite.windowMs,
+                retryAfter,
+            });
+            next(new TooManyRequestsError());
+        };
+    }
+
+    return {
+        global: limitar('global', (req) => ({
+            windowMs,
+            max: cota(req.user?.id) ?? cota(req.ip) ?? max,
+        })),
+
+        rota(nome) {
+            const limite = limitesDeRota[nome];
+            if (!limite) throw new Error(`Limite de rota desconhecido: ${nome}`);
+            const middleware = limitar(nome, () => limite);
+            middleware.limite = nome;
+            return middleware;
+        },
+
+        store,
+    };
+}
+
+module.exports = { criarLimites, criarStoreMemoria, LIMITES_DE_ROTA };
@@ -0,0 +1,129 @@
+//Etapa de redação dos logs: nada sai do processo sem passar por aqui.
+//LOG_REDACT_FIELDS acrescenta campos à lista padrão: um nome (ex. "cpf") mascara o campo em qualquer nível,
+//um caminho com pontos (ex. "user.name" ou "headers.*.token") mascara só aquele caminho.
+//LOG_REDACT_PATTERNS acrescenta regex (lista JSON de strings) aplicadas a todos os textos.
+//LOG_REDACT_EMAILS=false deixa os emails sem máscara. Os limites evitam payloads enormes no CloudWatch.
+const MASK = '[REDACTED]';
+
+const DEFAULT_FIELDS = [
+    'password',
+    'senha',
+    'token',
+    'accessToken',
+    'refreshToken',
+    'idToken',
+    'authorization',
+    'cookie',
+    'set-cookie',
+    'secret',
+    'clientSecret',
+    'apiKey',
+    'x-api-key',
+    'secretAccessKey',
+    'sessionToken',
+    'email',
+    'name',
+    //Termos de busca (ex. GET /usuarios?q=) costumam ser nomes ou emails
+    'q',
+];
+
+//Regex aplicadas a qualquer texto; o grupo 1, quando existe, é preservado
+const DEFAULT_PATTERNS = [
+    //Bearer tokens e JWTs soltos
+    /(Bearer\s+)[A-Za-z0-9\-._~+/]+=*/gi,
+    /eyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g,
+    //Credenciais e assinaturas da AWS (chaves de acesso e query strings de URLs pré-assinadas)
+    /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+    /((?:X-Amz-(?:Signature|Credential|Security-Token)|Signature|AWSAccessKeyId|x-amz-security-token)=)[^&\s"']+/gi,
+];
+
+const EMAIL_PATTERN = /\b([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})\b/g;
+
+//Error não tem propriedades enumeráveis, por isso JSON.stringify devolvia {}
+function serializarErro(err) {
+    const serializado = {
+        name: err.name,
+        message: err.message,
+        ...(err.code !== undefined && { code: err.code }),
+        ...(err.status !== undefined && { status: err.status }),
+        ...(err.statusCode !== undefined && { statusCode: err.statusCode }),
+        ...(err.details !== undefined && { details: err.details }),
+        //Identificador da requisição na AWS, útil para abrir chamados
+        ...(err.requestId !== undefined && { requestId: err.requestId }),
+        ...(err.sqlMessage !== undefined && { sqlMessage: err.sqlMessage }),
+        stack: err.stack,
+    };
+    if (err.cause !== undefined) serializado.cause = err.cause;
+    return serializado;
+}
+
+function criarRedator({
+    fields = [],
+    patterns = [],
+    maskEmails = true,
+    maxStringLength = 2048,
+    maxArrayLength = 50,
+    maxDepth = 8,
+} = {}) {
+    const nomes = new Set([...DEFAULT_FIELDS, ...fields.filter(f => !f.includes('.'))].map(f => f.toLowerCase()));
+    const caminhos = fields.filter(f => f.includes('.')).map(f => f.toLowerCase().split('.'));
+    const regexes = [...DEFAULT_PATTERNS, ...patterns.map(p => new RegExp(p, 'g'))];
+
+    const caminhoNegado = (caminho) => caminhos.some(negado =>
+        negado.length === caminho.length && negado.every((parte, i) => parte === '*' || parte === caminho[i]));
+
+    function mascararTexto(texto) {
+        let resultado = texto;
+        for (const regex of regexes) {
+            resultado = resultado.replace(regex, (match, prefixo) => (typeof prefixo === 'string' ? prefixo : '') + MASK);
+        }
+        if (maskEmails) {
+            resultado = resultado.replace(EMAIL_PATTERN, '$1***@$2');
+        }
+        if (resultado.length > maxStringLength) {
+            resultado = `${resultado.slice(0, maxStringLength)}...[${resultado.length - maxStringLength} caracteres truncados]`;
+        }
+        return resultado;
+    }
+
+    function redigir(valor, caminho, vistos) {
+        if (typeof valor === 'string') return mascararTexto(valor);
+        if (valor === null || typeof valor !== 'object') {
+            return typeof valor === 'bigint' || typeof valor === 'function' || typeof valor === 'symbol' ? String(valor) : valor;
+        }
+        if (Buffer.isBuffer(valor)) return `[Buffer ${valor.length} bytes]`;
+        if (valor instanceof Date) return valor.toISOString();
+        if (vistos.has(valor)) return '[Circular]';
+        if (caminho.length >= maxDepth) return '[Truncado: profundidade máxima]';
+
+        //O name de um Error é a classe (ValidationError, MongoServerError...), não um dado pessoal
+        if (valor instanceof Error) {
+            const { name, ...erro } = serializarErro(valor);
+            return { name, ...redigir(erro, caminho, vistos) };
+        }
+        //Documentos do Mongoose, ObjectId e afins
+        if (typeof valor.toJSON === 'function') {
+            const json = valor.toJSON();
+            if (json !== valor) return redigir(json, caminho, vistos);
+        }
+
+        vistos.add(valor);
+        let resultado;
+        if (Array.isArray(valor)) {
+            resultado = valor.slice(0, maxArrayLength).map((item, i) => redigir(item, [...caminho, String(i)], vistos));
+            if (valor.length > maxArrayLength) resultado.push(`...[${valor.length - maxArrayLength} itens truncados]`);
+        } else {
+            resultado = {};
+            for (const [campo, item] of Object.entries(valor)) {
+                const proximo = [...caminho, campo.toLowerCase()];
+                resultado[campo] = nomes.has(campo.toLowerCase()) || caminhoNegado(proximo) ? MASK : redigir(item, proximo, vistos);
+            }
+        }
+        vistos.delete(valor);
+        return resultado;
+    }
+
+    return (registro) => redigir(registro, [], new WeakSet());
+}
+
+module.exports = { criarRedator, serializarErro, MASK };
@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_VALIDO = /^[\w\-.:]{1,128}$/;
+
+const contexto = new AsyncLocalStorage();
+
+//Reaproveita o X-Request-Id recebido (quando válido) ou gera um novo,
+//devolve no cabeçalho da resposta e o mantém disponível durante toda a requisição
+function atribuirRequestId(req, res, next) {
+    const recebido = req.get(REQUEST_ID_HEADER);
+    req.id = recebido && REQUEST_ID_VALIDO.test(recebido) ? recebido : crypto.randomUUID();
+    res.set(REQUEST_ID_HEADER, req.id);
+    contexto.run({ requestId: req.id }, next);
+}
+
+//Request id da requisição em andamento, mesmo em código que não recebe o req
+function obterRequestId() {
+    return contexto.getStore()?.requestId;
+}
+
+module.exports = { atribuirRequestId, obterRequestId, REQUEST_ID_HEADER };
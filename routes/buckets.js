@@ -0,0 +1,1844 @@
+const express = require('express');
+const multer = require('multer');
+const multerS3 = require('multer-s3');
+const { config } = require('../config');
+const { autorizar } = require('../auth');
+const { validarBody } = require('../validation');
+const { AppError, ValidationError, ForbiddenError, erroAws } = require('../errors');
+const {
+    PresignUploadInput,
+    PresignDownloadInput,
+    PresignPostInput,
+    MultipartCreateInput,
+    MultipartPartUrlsInput,
+    MultipartCompleteInput,
+    BulkDeleteInput,
+    BulkCopyInput,
+    BucketCreateInput,
+    BucketVersioningInput,
+    BucketCorsInput,
+    BucketLifecycleInput,
+    BucketTagsInput,
+} = require('../schemas');
+const { bucketPermitido, verificarBucketPermitido } = require('../buckets');
+const {
+    politicaDoBucket,
+    gerarChave,
+    contentDisposition,
+    verificarTipoDeclarado,
+    arquivoGrandeDemais,
+    tipoPelaPolitica,
+    nomeOriginalEmUtf8,
+} = require('../uploadPolicy');
+
+const PRESIGN_DEFAULT_EXPIRES = 900;
+
+//Limites de tags do S3: até 50 por bucket, chave até 128 e valor até 256 caracteres
+function validarTags(tags) {
+    const details = [];
+    const entradas = Object.entries(tags);
+    if (entradas.length > 50) {
+        details.push({ field: 'tags', message: 'deve ter no máximo 50 tags' });
+    }
+    for (const [key, value] of entradas) {
+        if (key.length < 1 || key.length > 128) {
+            details.push({ field: `tags.${key}`, message: 'a chave deve ter entre 1 e 128 caracteres' });
+        }
+        if (typeof value !== 'string' || value.length > 256) {
+            details.push({ field: `tags.${key}`, message: 'o valor deve ser um texto de até 256 caracteres' });
+        }
+    }
+    if (details.length > 0) throw new ValidationError('Requisição inválida', details);
+}
+
+//Chave do objeto informada na query string das operações multipart
+function chaveDaQuery(req) {
+    const { key } = req.query;
+    if (typeof key !== 'string' || key.length === 0) {
+        throw new ValidationError('Parâmetros de consulta inválidos', [{ field: 'key', message: 'é obrigatório' }]);
+    }
+    return key;
+}
+
+//Resumo de uma operação em lote: totais e o relatório por chave
+function resumoLote(relatorio) {
+    return {
+        total: relatorio.succeeded.length + relatorio.failed.length,
+        succeededCount: relatorio.succeeded.length,
+        failedCount: relatorio.failed.length,
+        ...relatorio,
+    };
+}
+
+//Chave do objeto a partir do curinga *key, que o Express entrega como lista de segmentos
+function chaveDoParametro(req) {
+    const { key } = req.params;
+    return Array.isArray(key) ? key.join('/') : key;
+}
+
+//Headers do S3 repassados nos downloads e no HEAD
+const HEADERS_DOWNLOAD = {
+    'content-type': 'Content-Type',
+    'content-length': 'Content-Length',
+    'content-range': 'Content-Range',
+    'content-disposition': 'Content-Disposition',
+    'content-encoding': 'Content-Encoding',
+    'cache-control': 'Cache-Control',
+    'etag': 'ETag',
+    'last-modified': 'Last-Modified',
+};
+
+//Buckets e objetos do S3, montado em /buckets
+//s3 é usado só pelo multer-s3 no upload pelo servidor; as demais operações passam pelos serviços
+function criarRotasBuckets({ s3, buckets, objetos, multipart, lote, usuarios, catalogo, limites, logger }) {
+    const router = express.Router();
+
+    //O S3 já foi alterado: falhas no catálogo são logadas e ficam para a reconciliação
+    async function atualizarCatalogo(req, operacao) {
+        try {
+            await operacao();
+        } catch (err) {
+            logger.error('Erro ao atualizar o catálogo de arquivos', req, err);
+        }
+    }
+
+    //Toda rota com :bucketName só atua em buckets permitidos (BUCKET_ALLOWLIST / BUCKET_PREFIX)
+    router.param('bucketName', verificarBucketPermitido);
+
+    /**
+     * @swagger
+     * /buckets:
+     *   get:
+     *     summary: Lista os buckets gerenciados por esta API
+     *     tags: 
+     *       - Buckets
+     *     responses:
+     *       200:
+     *         description: Lista de todos os buckets
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.get('/', autorizar('reader'), async (req, res) => {
+        try {
+            const permitidos = (await buckets.listar()).filter(bucket => bucketPermitido(bucket.Name));
+            logger.info('Buckets encontrados', req, { total: permitidos.length });
+            res.status(200).json(permitidos);
+        } catch (error) {
+            throw erroAws('Erro ao listar buckets', error);
+        }
+    });
+
+    /**
+     * @swagger
+     * /buckets:
+     *   post:
+     *     summary: Cria um bucket
+     *     description: O nome precisa estar em BUCKET_ALLOWLIST ou começar com BUCKET_PREFIX, quando configurados.
+     *     tags:
+     *       - Buckets
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/BucketCreateInput'
+     *     responses:
+     *       201:
+     *         description: Bucket criado
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       409:
+     *         $ref: '#/components/responses/Conflict'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.post('/', autorizar('admin'), validarBody(BucketCreateInput), async (req, res) => {
+        const { name, region = config.aws.region } = req.body;
+        if (!bucketPermitido(name)) {
+            throw new ForbiddenError(`Bucket ${name} não é gerenciado por esta API`);
+        }
+
+        try {
+            const bucket = await buckets.criar({ name, region });
+            logger.info('Bucket criado', req, { bucket: name, region });
+            res.status(201).json(bucket);
+        } catch (error) {
+            throw erroAws('Erro ao criar bucket', error);
+        }
+    });
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}:
+     *   delete:
+     *     summary: Remove um bucket
+     *     description: Sem force, o bucket precisa estar vazio. Com force=true, todos os objetos e versões são removidos antes.
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *       - in: query
+     *         name: force
+     *         schema:
+     *           type: boolean
+     *           default: false
+     *     responses:
+     *       200:
+     *         description: Bucket removido
+     *       409:
+     *         $ref: '#/components/responses/Conflict'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.delete('/:bucketName', autorizar('admin'), async (req, res) => {
+        const force = req.query.force === 'true';
+        try {
+            const resultado = await buckets.remover(req.params.bucketName, { force });
+            logger.info('Bucket removido', req, { bucket: req.params.bucketName, force, objectsDeleted: resultado.objectsDeleted });
+            await atualizarCatalogo(req, () => catalogo.removerBucketDoCatalogo(req.params.bucketName));
+            res.json(resultado);
+        } catch (error) {
+            throw erroAws(error.code === 'BucketNotEmpty' ? 'O bucket não está vazio; use force=true para removê-lo com os objetos' : 'Erro ao remover bucket', error);
+        }
+    });
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/versioning:
+     *   get:
+     *     summary: Consulta o versionamento do bucket
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *     responses:
+     *       200:
+     *         description: Status do versionamento (Enabled, Suspended ou Disabled)
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 status:
+     *                   type: string
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *   put:
+     *     summary: Habilita ou suspende o versionamento do bucket
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/BucketVersioningInput'
+     *     responses:
+     *       200:
+     *         description: Versionamento atualizado
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.get('/:bucketName/versioning', autorizar('reader'), async (req, res) => {
+        try {
+            res.json(await buckets.versionamento(req.params.bucketName));
+        } catch (error) {
+            throw erroAws('Erro ao consultar versionamento do bucket', error);
+        }
+    });
+
+    router.put('/:bucketName/versioning', autorizar('admin'), validarBody(BucketVersioningInput), async (req, res) => {
+        try {
+            const resultado = await buckets.definirVersionamento(req.params.bucketName, req.body.status);
+            logger.info('Versionamento do bucket atualizado', req, { bucket: req.params.bucketName, status: req.body.status });
+            res.json(resultado);
+        } catch (error) {
+            throw erroAws('Erro ao atualizar versionamento do bucket', error);
+        }
+    });
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/cors:
+     *   get:
+     *     summary: Consulta o CORS do bucket
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *     responses:
+     *       200:
+     *         description: O CORS atual (lista vazia quando não configurado)
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/BucketCorsInput'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *   put:
+     *     summary: Substitui o CORS do bucket
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/BucketCorsInput'
+     *     responses:
+     *       200:
+     *         description: Regras de CORS gravadas no bucket
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *   delete:
+     *     summary: Remove o CORS do bucket
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *     responses:
+     *       200:
+     *         description: CORS removido; o bucket deixa de aceitar requisições de outras origens
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.get('/:bucketName/cors', autorizar('reader'), async (req, res) => {
+        try {
+            res.json({ rules: await buckets.cors(req.params.bucketName) });
+        } catch (error) {
+            throw erroAws('Erro ao consultar o CORS do bucket', error);
+        }
+    });
+
+    router.put('/:bucketName/cors', autorizar('admin'), validarBody(BucketCorsInput), async (req, res) => {
+        try {
+            const rules = await buckets.definirCors(req.params.bucketName, req.body.rules);
+            logger.info('CORS do bucket atualizado', req, { bucket: req.params.bucketName });
+            res.json({ rules });
+        } catch (error) {
+            throw erroAws('Erro ao atualizar o CORS do bucket', error);
+        }
+    });
+
+    router.delete('/:bucketName/cors', autorizar('admin'), async (req, res) => {
+        try {
+            await buckets.removerCors(req.params.bucketName);
+            logger.info('CORS do bucket removido', req, { bucket: req.params.bucketName });
+            res.json({ message: 'CORS removido com sucesso.' });
+        } catch (error) {
+            throw erroAws('Erro ao remover o CORS do bucket', error);
+        }
+    });
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/lifecycle:
+     *   get:
+     *     summary: Consulta as regras de lifecycle do bucket
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *     responses:
+     *       200:
+     *         description: As regras de lifecycle atuais (lista vazia quando não configuradas)
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/BucketLifecycleInput'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *   put:
+     *     summary: Substitui as regras de lifecycle do bucket
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/BucketLifecycleInput'
+     *     responses:
+     *       200:
+     *         description: Regras de lifecycle gravadas no bucket
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *   delete:
+     *     summary: Remove as regras de lifecycle do bucket
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *     responses:
+     *       200:
+     *         description: Regras de lifecycle removidas; os objetos deixam de expirar ou mudar de classe automaticamente
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.get('/:bucketName/lifecycle', autorizar('reader'), async (req, res) => {
+        try {
+            res.json({ rules: await buckets.lifecycle(req.params.bucketName) });
+        } catch (error) {
+            throw erroAws('Erro ao consultar as regras de lifecycle do bucket', error);
+        }
+    });
+
+    router.put('/:bucketName/lifecycle', autorizar('admin'), validarBody(BucketLifecycleInput), async (req, res) => {
+        try {
+            const rules = await buckets.definirLifecycle(req.params.bucketName, req.body.rules);
+            logger.info('Lifecycle do bucket atualizado', req, { bucket: req.params.bucketName });
+            res.json({ rules });
+        } catch (error) {
+            throw erroAws('Erro ao atualizar as regras de lifecycle do bucket', error);
+        }
+    });
+
+    router.delete('/:bucketName/lifecycle', autorizar('admin'), async (req, res) => {
+        try {
+            await buckets.removerLifecycle(req.params.bucketName);
+            logger.info('Lifecycle do bucket removido', req, { bucket: req.params.bucketName });
+            res.json({ message: 'Lifecycle removido com sucesso.' });
+        } catch (error) {
+            throw erroAws('Erro ao remover as regras de lifecycle do bucket', error);
+        }
+    });
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/tags:
+     *   get:
+     *     summary: Consulta as tags do bucket
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *     responses:
+     *       200:
+     *         description: As tags atuais (objeto vazio quando não há tags)
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 tags:
+     *                   type: object
+     *                   additionalProperties:
+     *                     type: string
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *   put:
+     *     summary: Substitui as tags do bucket
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/BucketTagsInput'
+     *     responses:
+     *       200:
+     *         description: Tags gravadas no bucket, substituindo as anteriores
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *   delete:
+     *     summary: Remove as tags do bucket
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *     responses:
+     *       200:
+     *         description: Todas as tags do bucket removidas
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.get('/:bucketName/tags', autorizar('reader'), async (req, res) => {
+        try {
+            res.json({ tags: await buckets.tags(req.params.bucketName) });
+        } catch (error) {
+            throw erroAws('Erro ao consultar as tags do bucket', error);
+        }
+    });
+
+    router.put('/:bucketName/tags', autorizar('admin'), validarBody(BucketTagsInput), async (req, res) => {
+        validarTags(req.body.tags);
+        try {
+            const tags = await buckets.definirTags(req.params.bucketName, req.body.tags);
+            logger.info('Tags do bucket atualizadas', req, { bucket: req.params.bucketName });
+            res.json({ tags });
+        } catch (error) {
+            throw erroAws('Erro ao atualizar as tags do bucket', error);
+        }
+    });
+
+    router.delete('/:bucketName/tags', autorizar('admin'), async (req, res) => {
+        try {
+            await buckets.removerTags(req.params.bucketName);
+            logger.info('Tags do bucket removidas', req, { bucket: req.params.bucketName });
+            res.json({ message: 'Tags removidas com sucesso.' });
+        } catch (error) {
+            throw erroAws('Erro ao remover as tags do bucket', error);
+        }
+    });
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}:
+     *   get:
+     *     summary: Lista os objetos de um bucket, com navegação por pastas e paginação
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *       - in: query
+     *         name: prefix
+     *         description: Lista somente as chaves que começam com este prefixo (ex. fotos/2024/)
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: delimiter
+     *         description: Agrupa as chaves em "pastas" (prefixes); use / para navegar como diretórios
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: continuationToken
+     *         description: Token retornado em nextContinuationToken para buscar a próxima página
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: maxKeys
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 1000
+     *           default: 1000
+     *     responses:
+     *       200:
+     *         description: Página de objetos do bucket
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 objects:
+     *                   type: array
+     *                   items:
+     *                     type: object
+     *                     properties:
+     *                       key:
+     *                         type: string
+     *                       size:
+     *                         type: integer
+     *                       etag:
+     *                         type: string
+     *                       lastModified:
+     *                         type: string
+     *                         format: date-time
+     *                       storageClass:
+     *                         type: string
+     *                 prefixes:
+     *                   type: array
+     *                   items:
+     *                     type: string
+     *                 isTruncated:
+     *                   type: boolean
+     *                 nextContinuationToken:
+     *                   type: string
+     *                   nullable: true
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       429:
+     *         $ref: '#/components/responses/TooManyRequests'
+     */
+    router.get('/:bucketName', autorizar('reader'), limites.rota('buckets:listar-objetos'), async (req, res) => {
+        const { bucketName } = req.params;
+        const { prefix, delimiter, continuationToken } = req.query;
+        const maxKeys = req.query.maxKeys === undefined ? 1000 : Number(req.query.maxKeys);
+        if (!Number.isInteger(maxKeys) || maxKeys < 1 || maxKeys > 1000) {
+            throw new ValidationError('Parâmetros de consulta inválidos', [{ field: 'maxKeys', message: 'deve ser um inteiro entre 1 e 1000' }]);
+        }
+
+        try {
+            const pagina = await objetos.listar({
+                bucket: bucketName,
+                prefix: prefix && String(prefix),
+                delimiter: delimiter && String(delimiter),
+                continuationToken: continuationToken && String(continuationToken),
+                maxKeys,
+            });
+            logger.info('Objetos encontrados', req, {
+                bucket: bucketName,
+                prefix,
+                objects: pagina.objects.length,
+                prefixes: pagina.prefixes.length,
+            });
+            res.status(200).json(pagina);
+        } catch (error) {
+            throw erroAws('Erro ao listar objetos do bucket', error);
+        }
+    });
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/upload:
+     *   post:
+     *     summary: Faz o upload de um arquivo para um bucket
+     *     description: |
+     *       O arquivo é validado pela política de upload do bucket (UPLOAD_POLICIES ou a política padrão):
+     *       o tipo é detectado pelo conteúdo (magic bytes) e precisa corresponder à extensão e às listas permitidas.
+     *       A chave é gerada a partir do nome sanitizado, no layout configurado (timestamp, uuid ou date).
+     *     tags: 
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         multipart/form-data:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               file:
+     *                 type: string
+     *                 format: binary
+     *               usuarioId:
+     *                 type: string
+     *                 description: ID do usuário (MongoDB) ao qual o arquivo pertence
+     *     responses:
+     *       200:
+     *         description: Arquivo enviado com sucesso
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 message:
+     *                   type: string
+     *                 fileUrl:
+     *                   type: string
+     *                 id:
+     *                   type: string
+     *                   description: ID do registro no catálogo de arquivos
+     *                 key:
+     *                   type: string
+     *                 contentType:
+     *                   type: string
+     *                 size:
+     *                   type: integer
+     *                 checksum:
+     *                   type: string
+     *                   description: SHA-256 do conteúdo
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       413:
+     *         $ref: '#/components/responses/PayloadTooLarge'
+     *       415:
+     *         $ref: '#/components/responses/UnsupportedMediaType'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       429:
+     *         $ref: '#/components/responses/TooManyRequests'
+     */
+    //Utilizar alguma lib para fazer o upload/strem de arquivos, sugestão: multer
+    //Um multer por política, já que o limite de tamanho e o tipo aceito vêm dela; os buckets sem
+    //política própria compartilham o da padrão, então o cache não cresce com os nomes recebidos na URL
+    const uploads = new Map();
+    function uploadDoBucket(bucket) {
+        const politica = politicaDoBucket(bucket);
+        if (!uploads.has(politica)) {
+            uploads.set(politica, multer({
+                storage: multerS3({
+                    s3: s3,
+                    bucket: (req, file, cb) => cb(null, req.params.bucketName),
+                    key: (req, file, cb) => cb(null, gerarChave(politica, file.originalname)),
+                    contentType: tipoPelaPolitica(politica),
+                    contentDisposition: (req, file, cb) => cb(null, contentDisposition(politica, file.originalname)),
+                    acl: 'private', // ou 'public-read' se quiser acesso público
+                }),
+                fileFilter: nomeOriginalEmUtf8,
+                limits: { fileSize: politica.maxBytes, files: 1 }
+            }));
+        }
+        return uploads.get(politica);
+    }
+
+    //Erros do multer e da política seguem para o errorHandler, os do S3 viram UpstreamError
+    const uploadArquivo = (req, res, next) => uploadDoBucket(req.params.bucketName).single('file')(req, res, (err) => {
+        next(err && err.name !== 'MulterError' && !(err instanceof AppError) ? erroAws('Erro no upload', err) : err);
+    });
+
+    router.post('/:bucketName/upload', autorizar('editor'), limites.rota('buckets:upload'), uploadArquivo, async (req, res) => {
+        if (!req.file) {
+            throw new ValidationError('Nenhum arquivo enviado.', [{ field: 'file', message: 'é obrigatório' }]);
+        }
+        const { bucket, key, contentType, size, checksum, etag, originalname } = req.file;
+
+        //Vínculo opcional com um usuário (campo usuarioId do formulário)
+        const { usuarioId } = req.body;
+        if (usuarioId !== undefined && !(await usuarios.existeAtivo(usuarioId))) {
+            await objetos.remover(bucket, key)
+                .catch(err => logger.error('Erro ao remover upload recusado', req, err, { bucket, key }));
+            throw new ValidationError('Requisição inválida', [{ field: 'usuarioId', message: 'usuário não encontrado' }]);
+        }
+
+        let arquivo;
+        await atualizarCatalogo(req, async () => {
+            arquivo = await catalogo.registrarArquivo({
+                bucket,
+                key,
+                originalName: originalname,
+                size,
+                contentType,
+                checksum,
+                etag,
+                uploadedBy: req.user.id,
+                usuario: usuarioId,
+            });
+        });
+
+        logger.info('Upload efetuado com sucesso', req, { bucket, key, contentType, size });
+        res.status(200).json({
+            message: 'Upload efetuado com sucesso',
+            fileUrl: req.file.location,  // A URL do arquivo no S3
+            id: arquivo?._id,
+            key,
+            contentType,
+            size,
+            checksum,
+        });
+    });
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/presign/upload:
+     *   post:
+     *     summary: Gera uma URL pré-assinada para enviar um arquivo direto ao S3 (PUT)
+     *     deprecated: true
+     *     description: |
+     *       Indisponível: a URL de PUT do aws-sdk v2 não assina o Content-Length, então não limitaria o tamanho ao máximo
+     *       da política de upload do bucket. Responde sempre 400; use POST /buckets/{bucketName}/presign/post.
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/PresignUploadInput'
+     *     responses:
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    //O aws-sdk v2 recusa ContentLength em URLs pré-assinadas e não assina o header: a URL de PUT aceitaria
+    //qualquer tamanho. Toda política de upload tem maxBytes, então o envio direto passa pela POST policy,
+    //que limita o tamanho com content-length-range
+    router.post('/:bucketName/presign/upload', autorizar('editor'), validarBody(PresignUploadInput), (req) => {
+        const { maxBytes } = politicaDoBucket(req.params.bucketName);
+        throw new ValidationError(`URL de PUT indisponível; use POST /buckets/${req.params.bucketName}/presign/post`, [
+            { field: 'bucketName', message: `o bucket limita os uploads a ${maxBytes} bytes, o que a URL de PUT não garante` },
+        ]);
+    });
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/presign/download:
+     *   post:
+     *     summary: Gera uma URL pré-assinada para baixar um objeto privado (GET)
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/PresignDownloadInput'
+     *     responses:
+     *       200:
+     *         description: URL gerada
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 method:
+     *                   type: string
+     *                 url:
+     *                   type: string
+     *                 key:
+     *                   type: string
+     *                 expiresIn:
+     *                   type: integer
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.post('/:bucketName/presign/download', autorizar('reader'), validarBody(PresignDownloadInput), async (req, res) => {
+        const { key, fileName, expiresIn = PRESIGN_DEFAULT_EXPIRES } = req.body;
+
+        try {
+            const url = await objetos.urlDeDownload({ bucket: req.params.bucketName, key, fileName, expiresIn });
+            logger.info('URL de download gerada', req, { bucket: req.params.bucketName, key, expiresIn });
+            res.json({ method: 'GET', url, key, expiresIn });
+        } catch (error) {
+            throw erroAws('Erro ao gerar URL de download', error);
+        }
+    });
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/presign/post:
+     *   post:
+     *     summary: Gera uma POST policy pré-assinada para upload via formulário do navegador
+     *     description: |
+     *       O formulário deve enviar todos os campos de "fields" seguidos do campo file.
+     *       A policy limita o tamanho ao máximo da política de upload do bucket e, se ela restringe os tipos, exige o contentType informado.
+     *       O arquivo vai direto ao S3, sem passar pela API: ele só entra no catálogo de arquivos pela reconciliação
+     *       (POST /files/reconcile com fix=true).
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/PresignPostInput'
+     *     responses:
+     *       200:
+     *         description: Policy gerada
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 url:
+     *                   type: string
+     *                 fields:
+     *                   type: object
+     *                 expiresIn:
+     *                   type: integer
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       415:
+     *         $ref: '#/components/responses/UnsupportedMediaType'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.post('/:bucketName/presign/post', autorizar('editor'), validarBody(PresignPostInput), async (req, res) => {
+        const { key, contentType, maxSize, expiresIn = PRESIGN_DEFAULT_EXPIRES } = req.body;
+        const politica = politicaDoBucket(req.params.bucketName);
+        verificarTipoDeclarado(politica, key, contentType);
+        const fields = {};
+        const conditions = [];
+
+        //${filename} é substituído pelo S3 com o nome do arquivo enviado no formulário
+        if (key.endsWith('${filename}')) {
+            conditions.push(['starts-with', '$key', key.slice(0, -'${filename}'.length)]);
+        } else {
+            fields.key = key;
+        }
+        if (contentType?.endsWith('/')) {
+            conditions.push(['starts-with', '$Content-Type', contentType]);
+        } else if (contentType) {
+            fields['Content-Type'] = contentType;
+        }
+        //O tamanho pedido nunca passa do máximo da política do bucket
+        conditions.push(['content-length-range', 0, Math.min(maxSize ?? politica.maxBytes, politica.maxBytes)]);
+
+        try {
+            const post = await objetos.postPolicy({ bucket: req.params.bucketName, fields, conditions, expiresIn });
+            if (key.endsWith('${filename}')) post.fields.key = key;
+
+            logger.info('POST policy gerada', req, { bucket: req.params.bucketName, key, expiresIn });
+            res.json({ ...post, expiresIn });
+        } catch (error) {
+            throw erroAws('Erro ao gerar POST policy', error);
+        }
+    });
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/multipart:
+     *   post:
+     *     summary: Inicia um upload multipart
+     *     description: |
+     *       Fluxo: iniciar, enviar as partes (por URLs pré-assinadas ou pela API), concluir.
+     *       Todas as partes, exceto a última, devem ter no mínimo 5 MB. A conclusão registra o objeto no catálogo de arquivos.
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/MultipartCreateInput'
+     *     responses:
+     *       201:
+     *         description: Upload iniciado
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 uploadId:
+     *                   type: string
+     *                 key:
+     *                   type: string
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       415:
+     *         $ref: '#/components/responses/UnsupportedMediaType'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.post('/:bucketName/multipart', autorizar('editor'), validarBody(MultipartCreateInput), async (req, res) => {
+        const { key, contentType } = req.body;
+        verificarTipoDeclarado(politicaDoBucket(req.params.bucketName), key, contentType);
+        try {
+            const upload = await multipart.iniciar({ bucket: req.params.bucketName, key, contentType });
+            logger.info('Upload multipart iniciado', req, { bucket: req.params.bucketName, ...upload });
+            res.status(201).json(upload);
+        } catch (error) {
+            throw erroAws('Erro ao iniciar upload multipart', error);
+        }
+    });
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/multipart/{uploadId}/urls:
+     *   post:
+     *     summary: Gera URLs pré-assinadas para enviar partes direto ao S3
+     *     description: Cada parte deve ser enviada com PUT; guarde o header ETag da resposta para concluir.
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *       - in: path
+     *         name: uploadId
+     *         required: true
+     *         schema:
+     *           type: string
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/MultipartPartUrlsInput'
+     *     responses:
+     *       200:
+     *         description: URLs geradas
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 type: object
+     *                 properties:
+     *                   partNumber:
+     *                     type: integer
+     *                   url:
+     *                     type: string
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.post('/:bucketName/multipart/:uploadId/urls', autorizar('editor'), validarBody(MultipartPartUrlsInput), async (req, res) => {
+        const { key, partNumbers, expiresIn = PRESIGN_DEFAULT_EXPIRES } = req.body;
+        try {
+            res.json(await multipart.urlsDasPartes({
+                bucket: req.params.bucketName,
+                key,
+                uploadId: req.params.uploadId,
+                partNumbers,
+                expiresIn,
+            }));
+        } catch (error) {
+            throw erroAws('Erro ao gerar URLs das partes', error);
+        }
+    });
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/multipart/{uploadId}/parts/{partNumber}:
+     *   put:
+     *     summary: Envia uma parte pelo servidor
+     *     description: O corpo é o conteúdo binário da parte e o header Content-Length é obrigatório.
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *       - in: path
+     *         name: uploadId
+     *         required: true
+     *         schema:
+     *           type: string
+     *       - in: path
+     *         name: partNumber
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 10000
+     *       - in: query
+     *         name: key
+     *         required: true
+     *         description: Chave do objeto
+     *         schema:
+     *           type: string
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/octet-stream:
+     *           schema:
+     *             type: string
+     *             format: binary
+     *     responses:
+     *       200:
+     *         description: Parte enviada
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 partNumber:
+     *                   type: integer
+     *                 etag:
+     *                   type: string
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       413:
+     *         $ref: '#/components/responses/PayloadTooLarge'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.put('/:bucketName/multipart/:uploadId/parts/:partNumber', autorizar('editor'), async (req, res) => {
+        const key = chaveDaQuery(req);
+        const partNumber = Number(req.params.partNumber);
+        const contentLength = Number(req.get('content-length'));
+        if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > 10000) {
+            throw new ValidationError('Requisição inválida', [{ field: 'partNumber', message: 'deve ser um inteiro entre 1 e 10000' }]);
+        }
+        if (!Number.isInteger(contentLength) || contentLength < 1) {
+            throw new ValidationError('Requisição inválida', [{ field: 'Content-Length', message: 'é obrigatório' }]);
+        }
+        const politica = politicaDoBucket(req.params.bucketName);
+        if (contentLength > politica.maxBytes) {
+            throw arquivoGrandeDemais(politica, contentLength);
+        }
+
+        try {
+            const parte = await multipart.enviarParte({
+                bucket: req.params.bucketName,
+                key,
+                uploadId: req.params.uploadId,
+                partNumber,
+                body: req,
+                contentLength,
+            });
+            res.json(parte);
+        } catch (error) {
+            throw erroAws('Erro ao enviar parte', error);
+        }
+    });
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/multipart/{uploadId}/parts:
+     *   get:
+     *     summary: Lista as partes já enviadas (para retomar um upload interrompido)
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *       - in: path
+     *         name: uploadId
+     *         required: true
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: key
+     *         required: true
+     *         description: Chave do objeto
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Partes enviadas
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 type: object
+     *                 properties:
+     *                   partNumber:
+     *                     type: integer
+     *                   etag:
+     *                     type: string
+     *                   size:
+     *                     type: integer
+     *                   lastModified:
+     *                     type: string
+     *                     format: date-time
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.get('/:bucketName/multipart/:uploadId/parts', autorizar('editor'), async (req, res) => {
+        const key = chaveDaQuery(req);
+        try {
+            res.json(await multipart.listarPartes({ bucket: req.params.bucketName, key, uploadId: req.params.uploadId }));
+        } catch (error) {
+            throw erroAws('Erro ao listar partes', error);
+        }
+    });
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/multipart/{uploadId}/complete:
+     *   post:
+     *     summary: Conclui o upload multipart, juntando as partes no objeto final
+     *     description: O objeto concluído é registrado no catálogo de arquivos, como no upload pelo servidor.
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *       - in: path
+     *         name: uploadId
+     *         required: true
+     *         schema:
+     *           type: string
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/MultipartCompleteInput'
+     *     responses:
+     *       200:
+     *         description: Upload concluído
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 location:
+     *                   type: string
+     *                 key:
+     *                   type: string
+     *                 etag:
+     *                   type: string
+     *                 id:
+     *                   type: string
+     *                   description: ID do registro no catálogo de arquivos
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       413:
+     *         $ref: '#/components/responses/PayloadTooLarge'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.post('/:bucketName/multipart/:uploadId/complete', autorizar('editor'), validarBody(MultipartCompleteInput), async (req, res) => {
+        const { key, parts } = req.body;
+        const upload = { bucket: req.params.bucketName, key, uploadId: req.params.uploadId };
+        const politica = politicaDoBucket(upload.bucket);
+
+        //As partes vão direto ao S3 pelas URLs pré-assinadas: o tamanho só é conferido aqui, antes de juntar o objeto
+        let enviadas;
+        try {
+            enviadas = await multipart.listarPartes(upload);
+        } catch (error) {
+            throw erroAws('Erro ao concluir upload multipart', error);
+        }
+        const escolhidas = parts ? enviadas.filter(e => parts.some(p => p.partNumber === e.partNumber)) : enviadas;
+        const tamanho = escolhidas.reduce((total, parte) => total + parte.size, 0);
+        if (tamanho > politica.maxBytes) {
+            await multipart.abortar(upload)
+                .catch(err => logger.error('Erro ao abortar upload multipart acima do limite', req, err, upload));
+            throw arquivoGrandeDemais(politica, tamanho);
+        }
+
+        let resultado;
+        try {
+            resultado = await multipart.concluir({ ...upload, parts: parts ?? enviadas });
+        } catch (error) {
+            throw erroAws('Erro ao concluir upload multipart', error);
+        }
+        logger.info('Upload multipart concluído', req, { bucket: req.params.bucketName, uploadId: req.params.uploadId, ...resultado });
+
+        //O Content-Type foi definido ao iniciar o upload e só pode ser lido do objeto concluído
+        let arquivo;
+        await atualizarCatalogo(req, async () => {
+            const { contentType } = await objetos.metadados(upload.bucket, upload.key);
+            arquivo = await catalogo.registrarArquivo({
+                bucket: upload.bucket,
+                key: upload.key,
+                size: tamanho,
+                contentType,
+                etag: resultado.etag,
+                uploadedBy: req.user.id,
+            });
+        });
+        res.json({ ...resultado, id: arquivo?._id });
+    });
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/multipart/{uploadId}:
+     *   delete:
+     *     summary: Aborta o upload multipart e descarta as partes enviadas
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *       - in: path
+     *         name: uploadId
+     *         required: true
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: key
+     *         required: true
+     *         description: Chave do objeto
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Upload abortado
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.delete('/:bucketName/multipart/:uploadId', autorizar('editor'), async (req, res) => {
+        const key = chaveDaQuery(req);
+        try {
+            await multipart.abortar({ bucket: req.params.bucketName, key, uploadId: req.params.uploadId });
+            logger.info('Upload multipart abortado', req, { bucket: req.params.bucketName, key, uploadId: req.params.uploadId });
+            res.json({ message: 'Upload abortado com sucesso.' });
+        } catch (error) {
+            throw erroAws('Erro ao abortar upload multipart', error);
+        }
+    });
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/batch/delete:
+     *   post:
+     *     summary: Remove vários objetos de uma vez, por lista de chaves ou por prefixo
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/BulkDeleteInput'
+     *     responses:
+     *       200:
+     *         description: Relatório por chave
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/BulkReport'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.post('/:bucketName/batch/delete', autorizar('admin'), validarBody(BulkDeleteInput), async (req, res) => {
+        const { bucketName } = req.params;
+        const { keys, prefix } = req.body;
+        if (Boolean(keys) === Boolean(prefix)) {
+            throw new ValidationError('Requisição inválida', [{ field: 'keys', message: 'informe keys ou prefix (apenas um)' }]);
+        }
+
+        let relatorio;
+        try {
+            relatorio = resumoLote(keys ? await lote.removerChaves(bucketName, keys) : await lote.removerPrefixo(bucketName, prefix));
+        } catch (error) {
+            throw erroAws('Erro ao remover objetos', error);
+        }
+
+        logger.info('Remoção em lote concluída', req, { bucket: bucketName, prefix, total: relatorio.total, succeeded: relatorio.succeededCount, failed: relatorio.failedCount });
+        await atualizarCatalogo(req, () => catalogo.removerDoCatalogo(bucketName, relatorio.succeeded));
+        res.json(relatorio);
+    });
+
+    //Copia ou move conforme o body: lista de pares ou troca de prefixo
+    async function copiarEmLote(req, res, move) {
+        const { bucketName } = req.params;
+        const { objects, sourcePrefix, destinationPrefix, destinationBucket } = req.body;
+        if (Boolean(objects) === Boolean(sourcePrefix)) {
+            throw new ValidationError('Requisição inválida', [{ field: 'objects', message: 'informe objects ou sourcePrefix (apenas um)' }]);
+        }
+        //O router.param só protege o bucket de origem; o de destino vem do body
+        if (destinationBucket !== undefined && !bucketPermitido(destinationBucket)) {
+            throw new ForbiddenError(`Bucket ${destinationBucket} não é gerenciado por esta API`);
+        }
+
+        let relatorio;
+        try {
+            relatorio = resumoLote(objects
+                ? await lote.copiar({ bucket: bucketName, destinationBucket, objects, move })
+                : await lote.copiarPrefixo({ bucket: bucketName, destinationBucket, sourcePrefix, destinationPrefix, move }));
+        } catch (error) {
+            throw erroAws(move ? 'Erro ao mover objetos' : 'Erro ao copiar objetos', error);
+        }
+
+        logger.info(move ? 'Movimentação em lote concluída' : 'Cópia em lote concluída', req, {
+            bucket: bucketName,
+            destinationBucket: destinationBucket ?? bucketName,
+            sourcePrefix,
+            destinationPrefix,
+            total: relatorio.total,
+            succeeded: relatorio.succeededCount,
+            failed: relatorio.failedCount,
+        });
+        await atualizarCatalogo(req, () => catalogo.copiarNoCatalogo({ bucket: bucketName, destinationBucket, copies: relatorio.succeeded, move }));
+        res.json(relatorio);
+    }
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/batch/copy:
+     *   post:
+     *     summary: Copia objetos para outras chaves, prefixos ou buckets
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket de origem
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/BulkCopyInput'
+     *     responses:
+     *       200:
+     *         description: Relatório por chave
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/BulkReport'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.post('/:bucketName/batch/copy', autorizar('editor'), validarBody(BulkCopyInput), (req, res) => copiarEmLote(req, res, false));
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/batch/move:
+     *   post:
+     *     summary: Move objetos (copia e remove a origem) para outras chaves, prefixos ou buckets
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket de origem
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/BulkCopyInput'
+     *     responses:
+     *       200:
+     *         description: Relatório por chave
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/BulkReport'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.post('/:bucketName/batch/move', autorizar('admin'), validarBody(BulkCopyInput), (req, res) => copiarEmLote(req, res, true));
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/metadata/{key}:
+     *   get:
+     *     summary: Retorna os metadados de um objeto sem baixar o conteúdo
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *       - in: path
+     *         name: key
+     *         required: true
+     *         description: Chave do objeto; pode conter / (ex. fotos/2024/a.png)
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Metadados do objeto
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 key:
+     *                   type: string
+     *                 size:
+     *                   type: integer
+     *                 contentType:
+     *                   type: string
+     *                 etag:
+     *                   type: string
+     *                 lastModified:
+     *                   type: string
+     *                   format: date-time
+     *                 storageClass:
+     *                   type: string
+     *                 metadata:
+     *                   type: object
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.get('/:bucketName/metadata/*key', autorizar('reader'), async (req, res) => {
+        const key = chaveDoParametro(req);
+        try {
+            res.json(await objetos.metadados(req.params.bucketName, key));
+        } catch (error) {
+            throw erroAws('Objeto não encontrado', error);
+        }
+    });
+
+    /**
+     * @swagger
+     * /buckets/{bucketName}/file/{key}:
+     *   head:
+     *     summary: Retorna os headers do objeto (tamanho, tipo, ETag) sem o conteúdo
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *       - in: path
+     *         name: key
+     *         required: true
+     *         description: Chave do objeto; pode conter / (ex. fotos/2024/a.png)
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Objeto existe
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *   get:
+     *     summary: Baixa um objeto por streaming, com suporte a Range
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *       - in: path
+     *         name: key
+     *         required: true
+     *         description: Chave do objeto; pode conter / (ex. fotos/2024/a.png)
+     *         schema:
+     *           type: string
+     *       - in: header
+     *         name: Range
+     *         description: Intervalo de bytes, ex. bytes=0-1023
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Conteúdo do objeto
+     *         content:
+     *           application/octet-stream:
+     *             schema:
+     *               type: string
+     *               format: binary
+     *       206:
+     *         description: Parte do conteúdo (quando Range é informado)
+     *       304:
+     *         description: Não modificado (If-None-Match / If-Modified-Since)
+     *       416:
+     *         description: Intervalo inválido
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *   delete:
+     *     summary: Deleta um arquivo específico de um bucket
+     *     tags:
+     *       - Buckets
+     *     parameters:
+     *       - in: path
+     *         name: bucketName
+     *         required: true
+     *         description: Nome do bucket
+     *       - in: path
+     *         name: key
+     *         required: true
+     *         description: Chave do objeto; pode conter / (ex. fotos/2024/a.png)
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Arquivo deletado com sucesso
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.head('/:bucketName/file/*key', autorizar('reader'), async (req, res) => {
+        try {
+            const objeto = await objetos.metadados(req.params.bucketName, chaveDoParametro(req));
+            const headers = {
+                'Content-Type': objeto.contentType,
+                'Content-Length': objeto.size,
+                'ETag': objeto.etag,
+                'Last-Modified': objeto.lastModified?.toUTCString(),
+                'Accept-Ranges': 'bytes',
+            };
+            for (const [nome, valor] of Object.entries(headers)) {
+                if (valor !== undefined) res.setHeader(nome, valor);
+            }
+            res.status(200).end();
+        } catch (error) {
+            throw erroAws('Objeto não encontrado', error);
+        }
+    });
+
+    router.get('/:bucketName/file/*key', autorizar('reader'), (req, res, next) => {
+        //RFC 9110 (13.1.3): If-Modified-Since com data inválida é ignorado
+        const ifModifiedSince = new Date(req.headers['if-modified-since']);
+        const download = {
+            bucket: req.params.bucketName,
+            key: chaveDoParametro(req),
+            range: req.headers.range,
+            ifNoneMatch: req.headers['if-none-match'],
+            ifModifiedSince: Number.isNaN(ifModifiedSince.getTime()) ? undefined : ifModifiedSince,
+        };
+
+        //Os headers do S3 chegam antes do corpo: repassa status e headers e depois faz o pipe
+        const { stream, abortar } = objetos.baixar(download, (statusCode, headers) => {
+            res.status(statusCode);
+            for (const [origem, destino] of Object.entries(HEADERS_DOWNLOAD)) {
+                if (headers[origem]) res.setHeader(destino, headers[origem]);
+            }
+            res.setHeader('Accept-Ranges', 'bytes');
+        });
+        stream.on('error', (error) => {
+            if (error.statusCode === 304) return res.status(304).end();
+            next(erroAws('Erro ao baixar o arquivo', error));
+        });
+        //Cliente desistiu do download: interrompe a leitura do S3
+        res.on('close', () => {
+            if (!res.writableFinished) abortar();
+        });
+        stream.pipe(res);
+    });
+
+    router.delete('/:bucketName/file/*key', autorizar('admin'), async (req, res) => {
+        const { bucketName } = req.params; // Nome do bucket; a chave pode conter / e vem do curinga *key
+        const key = chaveDoParametro(req);
+
+        try {
+            // Deletando o arquivo do S3
+            await objetos.remover(bucketName, key);
+
+            // Log de sucesso, para entender quando o arquivo foi removido
+            logger.info('Objeto removido com sucesso', req, { bucket: bucketName, key });
+            await atualizarCatalogo(req, () => catalogo.removerDoCatalogo(bucketName, [key]));
+
+            // Respondendo ao cliente com uma mensagem de sucesso
+            res.status(200).json({ message: 'Arquivo removido com sucesso.' });
+        } catch (error) {
+            // Se houver erro, o errorHandler loga os detalhes e responde sem expô-los
+            throw erroAws('Erro ao remover o arquivo', error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { criarRotasBuckets };
@@ -0,0 +1,169 @@
+const express = require('express');
+const { autorizar } = require('../auth');
+const { AppError, ValidationError } = require('../errors');
+const { statusMigrations, aplicarMigrations, reverterMigrations } = require('../migrator');
+
+//Manutenção dos bancos: migrations do MySQL e teste da conexão com o MongoDB
+function criarRotasBanco({ mysql, usuarios, logger }) {
+    const router = express.Router();
+    const { pool, database } = mysql;
+
+    /**
+     * @swagger
+     * /init-db:
+     *   post:
+     *     tags:
+     *       - CRUD MySQL
+     *     summary: Cria o banco de dados e aplica as migrations pendentes
+     *     deprecated: true
+     *     description: Mantido por compatibilidade, equivale a POST /migrations/up.
+     *     responses:
+     *       200:
+     *         description: Banco de dados atualizado com sucesso
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.post('/init-db', autorizar('admin'), async (req, res) => {
+        const applied = await aplicarMigrations(pool, database);
+        res.json({ message: 'Banco e tabelas atualizados', applied });
+    });
+
+    /**
+     * @swagger
+     * /migrations:
+     *   get:
+     *     tags:
+     *       - CRUD MySQL
+     *     summary: Lista as migrations e se já foram aplicadas
+     *     responses:
+     *       200:
+     *         description: Status das migrations
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 type: object
+     *                 properties:
+     *                   version:
+     *                     type: integer
+     *                   name:
+     *                     type: string
+     *                   applied:
+     *                     type: boolean
+     *                   appliedAt:
+     *                     type: string
+     *                     format: date-time
+     *                     nullable: true
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.get('/migrations', autorizar('admin'), async (req, res) => {
+        res.json(await statusMigrations(pool, database));
+    });
+
+    /**
+     * @swagger
+     * /migrations/up:
+     *   post:
+     *     tags:
+     *       - CRUD MySQL
+     *     summary: Aplica as migrations pendentes
+     *     parameters:
+     *       - in: query
+     *         name: to
+     *         description: Aplica somente até esta versão
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Migrations aplicadas
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.post('/migrations/up', autorizar('admin'), async (req, res) => {
+        const to = req.query.to === undefined ? undefined : Number(req.query.to);
+        if (to !== undefined && !Number.isInteger(to)) {
+            throw new ValidationError('Parâmetros de consulta inválidos', [{ field: 'to', message: 'deve ser um inteiro' }]);
+        }
+
+        res.json({ applied: await aplicarMigrations(pool, database, { to }) });
+    });
+
+    /**
+     * @swagger
+     * /migrations/down:
+     *   post:
+     *     tags:
+     *       - CRUD MySQL
+     *     summary: Reverte as últimas migrations aplicadas
+     *     parameters:
+     *       - in: query
+     *         name: steps
+     *         description: Quantidade de migrations a reverter
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           default: 1
+     *     responses:
+     *       200:
+     *         description: Migrations revertidas
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.post('/migrations/down', autorizar('admin'), async (req, res) => {
+        const steps = req.query.steps === undefined ? 1 : Number(req.query.steps);
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new ValidationError('Parâmetros de consulta inválidos', [{ field: 'steps', message: 'deve ser um inteiro positivo' }]);
+        }
+
+        res.json({ reverted: await reverterMigrations(pool, database, { steps }) });
+    });
+
+    /**
+     * @swagger
+     * /mongodb/testar-conexao:
+     *   get:
+     *     tags:
+     *       - CRUD MongoDb
+     *     summary: Testa a conexão com o MongoDB
+     *     description: Consulta o MongoDB pela conexão compartilhada da aplicação, sem abri-la ou fechá-la. Para probes, use /ready.
+     *     responses:
+     *       200:
+     *         description: Conexão bem-sucedida
+     *       500:
+     *         description: Erro na conexão com o MongoDB
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.get('/mongodb/testar-conexao', autorizar('admin'), async (req, res) => {
+        try {
+            //Consulta simples (primeiro usuário encontrado) pela conexão já aberta
+            const user = await usuarios.primeiro();
+
+            logger.info('Conexão com o MongoDB efetuada com sucesso', req);
+
+            if (user) {
+                res.status(200).send('Conexão com o MongoDB bem-sucedida e usuário encontrado!');
+            } else {
+                res.status(200).send('Conexão com o MongoDB bem-sucedida, mas nenhum usuário encontrado.');
+            }
+        } catch (error) {
+            throw new AppError('Erro na conexão com o MongoDB', { cause: error });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { criarRotasBanco };
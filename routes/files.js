@@ -0,0 +1,216 @@
+const express = require('express');
+const { autorizar } = require('../auth');
+const { validarBody } = require('../validation');
+const { ForbiddenError, NotFoundError, erroAws } = require('../errors');
+const { FileReconcileInput } = require('../schemas');
+const { bucketPermitido } = require('../buckets');
+const { montarConsultaArquivos } = require('../fileCatalog');
+
+//Catálogo de arquivos no MongoDB, montado em /files
+function criarRotasArquivos({ s3, catalogo, logger }) {
+    const router = express.Router();
+
+    /**
+     * @swagger
+     * /files:
+     *   get:
+     *     tags:
+     *       - Arquivos
+     *     summary: Lista os arquivos catalogados com paginação, filtros e ordenação
+     *     parameters:
+     *       - in: query
+     *         name: page
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           default: 1
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *           default: 20
+     *       - in: query
+     *         name: bucket
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: prefix
+     *         description: Filtra as chaves que começam com o valor informado
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: name
+     *         description: Filtra arquivos cujo nome original contém o valor informado
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: contentType
+     *         description: Tipo exato (image/png) ou família terminada em / (image/)
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: uploadedBy
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: usuarioId
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: sort
+     *         description: Campo e direção da ordenação (createdAt, size ou key), ex. size:desc
+     *         schema:
+     *           type: string
+     *           example: createdAt:desc
+     *     responses:
+     *       200:
+     *         description: Página de arquivos
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 data:
+     *                   type: array
+     *                   items:
+     *                     $ref: '#/components/schemas/File'
+     *                 total:
+     *                   type: integer
+     *                 page:
+     *                   type: integer
+     *                 limit:
+     *                   type: integer
+     *                 totalPages:
+     *                   type: integer
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.get('/', autorizar('reader'), async (req, res) => {
+        const { page, limit, filter, sort } = montarConsultaArquivos(req.query);
+
+        const { data, total } = await catalogo.listar({ page, limit, filter, sort });
+        res.json({
+            data,
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit),
+        });
+    });
+
+    /**
+     * @swagger
+     * /files/{id}:
+     *   get:
+     *     tags:
+     *       - Arquivos
+     *     summary: Obtém o registro de um arquivo catalogado
+     *     parameters:
+     *       - name: id
+     *         in: path
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Arquivo encontrado
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/File'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.get('/:id', autorizar('reader'), async (req, res) => {
+        const arquivo = await catalogo.buscar(req.params.id);
+        if (!arquivo) throw new NotFoundError('Arquivo não encontrado');
+        res.json(arquivo);
+    });
+
+    /**
+     * @swagger
+     * /files/reconcile:
+     *   post:
+     *     tags:
+     *       - Arquivos
+     *     summary: Compara um bucket com o catálogo e aponta (ou corrige) as divergências
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/FileReconcileInput'
+     *     responses:
+     *       200:
+     *         description: Relatório da reconciliação
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 bucket:
+     *                   type: string
+     *                 fixed:
+     *                   type: boolean
+     *                 objects:
+     *                   type: integer
+     *                 cataloged:
+     *                   type: integer
+     *                 missingInCatalog:
+     *                   type: array
+     *                   description: Objetos do S3 sem registro no catálogo
+     *                   items:
+     *                     type: string
+     *                 missingInS3:
+     *                   type: array
+     *                   description: Registros do catálogo cujo objeto não existe mais
+     *                   items:
+     *                     type: string
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.post('/reconcile', autorizar('admin'), validarBody(FileReconcileInput), async (req, res) => {
+        const { bucket, fix = false } = req.body;
+        if (!bucketPermitido(bucket)) {
+            throw new ForbiddenError(`Bucket ${bucket} não é gerenciado por esta API`);
+        }
+
+        let relatorio;
+        try {
+            relatorio = await catalogo.reconciliar(s3, { bucket, fix });
+        } catch (error) {
+            //Erros do SDK da AWS têm code textual; os do MongoDB seguem para o errorHandler como estão
+            throw typeof error.code === 'string' ? erroAws('Erro ao reconciliar o catálogo de arquivos', error) : error;
+        }
+
+        logger.info('Reconciliação do catálogo concluída', req, {
+            bucket,
+            fix,
+            missingInCatalog: relatorio.missingInCatalog.length,
+            missingInS3: relatorio.missingInS3.length,
+        });
+        res.json(relatorio);
+    });
+
+    return router;
+}
+
+module.exports = { criarRotasArquivos };
@@ -0,0 +1,74 @@
+const express = require('express');
+
+//Probes de liveness e readiness, fora da autenticação
+function criarRotasSaude({ verificacoes, logger }) {
+    const router = express.Router();
+
+    /**
+     * @swagger
+     * /health:
+     *   get:
+     *     tags:
+     *       - Saúde
+     *     summary: Liveness - o processo está respondendo
+     *     description: Não consulta dependências; use para reiniciar o container apenas quando o processo travar.
+     *     security: []
+     *     responses:
+     *       200:
+     *         description: Processo ativo
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 status:
+     *                   type: string
+     *                   example: ok
+     *                 uptime:
+     *                   type: integer
+     *                   description: Segundos desde o início do processo
+     *                 timestamp:
+     *                   type: string
+     *                   format: date-time
+     */
+    router.get('/health', (req, res) => {
+        res.json(verificacoes.liveness());
+    });
+
+    /**
+     * @swagger
+     * /ready:
+     *   get:
+     *     tags:
+     *       - Saúde
+     *     summary: Readiness - MySQL, MongoDB e S3 respondem dentro do timeout
+     *     description: |
+     *       Cada dependência é verificada em paralelo com timeout (HEALTH_TIMEOUT_MS, padrão 2000 ms).
+     *       O estado dos transportes de log é informativo (up ou degraded) e não torna a API indisponível.
+     *     security: []
+     *     responses:
+     *       200:
+     *         description: Pronta para receber tráfego
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Readiness'
+     *       503:
+     *         description: Alguma dependência está fora do ar
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Readiness'
+     */
+    router.get('/ready', async (req, res) => {
+        const { ready, falhas, body } = await verificacoes.readiness();
+        for (const { nome, cause } of falhas) {
+            logger.warn('Dependência indisponível', req, { dependency: nome, error: cause });
+        }
+        res.status(ready ? 200 : 503).json(body);
+    });
+
+    return router;
+}
+
+module.exports = { criarRotasSaude };
@@ -0,0 +1,525 @@
+const express = require('express');
+const multer = require('multer');
+const multerS3 = require('multer-s3');
+const { config } = require('../config');
+const { autorizar } = require('../auth');
+const { validarBody } = require('../validation');
+const { AppError, ValidationError, NotFoundError, erroAws } = require('../errors');
+const { ProductInput, ProductImageUpdate } = require('../schemas');
+const { montarConsultaProdutos } = require('../productRepository');
+const {
+    politicaDoBucket,
+    gerarChave,
+    contentDisposition,
+    tipoPelaPolitica,
+    nomeOriginalEmUtf8,
+} = require('../uploadPolicy');
+
+//Bucket e prefixo das imagens: PRODUCT_IMAGES_BUCKET/PRODUCT_IMAGES_PREFIX<id do produto>/<uuid>.<extensão>
+const PRODUCT_IMAGES_BUCKET = config.productImages.bucket;
+const PRODUCT_IMAGES_PREFIX = config.productImages.prefix;
+const PRODUCT_IMAGES_MAX_FILES = config.productImages.maxFiles;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+//Política do bucket das imagens, restrita aos tipos de imagem
+const politicaDeImagens = (() => {
+    const politica = politicaDoBucket(PRODUCT_IMAGES_BUCKET);
+    return {
+        ...politica,
+        allowedTypes: politica.allowedTypes.length ? IMAGE_TYPES.filter(t => politica.allowedTypes.includes(t)) : IMAGE_TYPES,
+        keyLayout: 'uuid',
+        disposition: 'inline',
+    };
+})();
+
+//Produtos (MySQL) e suas imagens (S3 + tabela product_image), montado em /product
+function criarRotasProdutos({ produtos, imagensProduto, s3, logger }) {
+    const router = express.Router();
+
+    /**
+     * @swagger
+     * /product:
+     *   get:
+     *     tags:
+     *       - CRUD MySQL
+     *     summary: Lista os produtos com paginação, filtros e ordenação
+     *     parameters:
+     *       - in: query
+     *         name: page
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           default: 1
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *           default: 20
+     *       - in: query
+     *         name: name
+     *         description: Filtra produtos cujo nome contém o valor informado
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: minPrice
+     *         schema:
+     *           type: number
+     *       - in: query
+     *         name: maxPrice
+     *         schema:
+     *           type: number
+     *       - in: query
+     *         name: sort
+     *         description: Campo e direção da ordenação (id, name ou price), ex. price:desc
+     *         schema:
+     *           type: string
+     *           example: price:desc
+     *     responses:
+     *       200:
+     *         description: Página de produtos
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 data:
+     *                   type: array
+     *                   items:
+     *                     type: object
+     *                     properties:
+     *                       id:
+     *                         type: integer
+     *                       name:
+     *                         type: string
+     *                       description:
+     *                         type: string
+     *                       price:
+     *                         type: number
+     *                 total:
+     *                   type: integer
+     *                 page:
+     *                   type: integer
+     *                 limit:
+     *                   type: integer
+     *                 totalPages:
+     *                   type: integer
+     *       400:
+     *         description: Parâmetros de consulta inválidos
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.get('/', autorizar('reader'), async (req, res) => {
+      const consulta = montarConsultaProdutos(req.query);
+      const { page, limit } = consulta;
+
+      const { rows, total } = await produtos.listar(consulta);
+      res.json({
+        data: rows,
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      });
+    });
+
+    /**
+     * @swagger
+     * /product/{id}:
+     *   get:
+     *     tags:
+     *       - CRUD MySQL
+     *     summary: Busca um produto pelo ID
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Produto encontrado, com as imagens em ordem e URLs pré-assinadas
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 id:
+     *                   type: integer
+     *                 name:
+     *                   type: string
+     *                 description:
+     *                   type: string
+     *                 price:
+     *                   type: number
+     *                 images:
+     *                   type: array
+     *                   items:
+     *                     $ref: '#/components/schemas/ProductImage'
+     *       404:
+     *         description: Produto não encontrado
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.get('/:id', autorizar('reader'), async (req, res) => {
+        const produto = await produtos.buscar(req.params.id)
+        if (!produto) throw new NotFoundError('Product cant be found')
+
+        const images = await imagensProduto.listar(produto.id);
+        res.json({ ...produto, images })
+    })
+
+    /**
+     * @swagger
+     * /product:
+     *   post:
+     *     tags:
+     *       - CRUD MySQL
+     *     summary: Cria um novo produto
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/ProductInput'
+     *     responses:
+     *       201:
+     *         description: Produto criado
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.post('/', autorizar('editor'), validarBody(ProductInput), async (req, res) => {
+        const result = await produtos.criar(req.body);
+        res.status(201).send(result)
+    })
+
+    /**
+     * @swagger
+     * /product/{id}:
+     *   put:
+     *     tags:
+     *       - CRUD MySQL
+     *     summary: Atualiza um produto
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/ProductInput'
+     *     responses:
+     *       200:
+     *         description: Produto atualizado
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         description: Produto não encontrado
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.put('/:id', autorizar('editor'), validarBody(ProductInput), async (req, res) => {
+        const result = await produtos.atualizar(req.params.id, req.body);
+        if (result.affectedRows === 0) throw new NotFoundError('Produto não encontrado');
+        res.status(201).send(result)
+    })
+
+    /**
+     * @swagger
+     * /product/{id}:
+     *   delete:
+     *     tags:
+     *       - CRUD MySQL
+     *     summary: Deleta um produto
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Produto deletado com sucesso
+     *       404:
+     *         description: Produto não encontrado
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.delete('/:id', autorizar('admin'), async (req, res) => {
+        const imagens = await imagensProduto.objetosDoProduto(req.params.id);
+
+        const result = await produtos.remover(req.params.id);
+        if (result.affectedRows === 0) throw new NotFoundError("Product doesn't exist")
+
+        //As linhas de product_image saem em cascata; os objetos no S3 são removidos aqui
+        if (imagens.length > 0) {
+            try {
+                await imagensProduto.removerObjetos(imagens);
+            } catch (error) {
+                logger.error('Erro ao remover as imagens do produto no S3', req, error, { productId: req.params.id, keys: imagens.map(i => i.key) });
+            }
+        }
+        res.status(200).send('Product Deleted with success!')
+    })
+
+    //#region Imagens de produto
+    const uploadImagens = PRODUCT_IMAGES_BUCKET && multer({
+        storage: multerS3({
+            s3: s3,
+            bucket: PRODUCT_IMAGES_BUCKET,
+            key: (req, file, cb) => cb(null, gerarChave(
+                { ...politicaDeImagens, keyPrefix: `${PRODUCT_IMAGES_PREFIX}${req.params.id}/` },
+                file.originalname,
+            )),
+            contentType: tipoPelaPolitica(politicaDeImagens),
+            contentDisposition: (req, file, cb) => cb(null, contentDisposition(politicaDeImagens, file.originalname)),
+            acl: 'private',
+        }),
+        fileFilter: nomeOriginalEmUtf8,
+        limits: { fileSize: politicaDeImagens.maxBytes, files: PRODUCT_IMAGES_MAX_FILES }
+    });
+
+    //Confere a configuração e o produto antes de receber os arquivos
+    async function prepararUploadImagens(req, res, next) {
+        if (!uploadImagens) {
+            throw new AppError('Imagens de produto não configuradas: defina PRODUCT_IMAGES_BUCKET');
+        }
+        if (!await imagensProduto.produtoExiste(req.params.id)) {
+            throw new NotFoundError('Produto não encontrado');
+        }
+        uploadImagens.array('images', PRODUCT_IMAGES_MAX_FILES)(req, res, (err) => {
+            next(err && err.name !== 'MulterError' && !(err instanceof AppError) ? erroAws('Erro no upload das imagens', err) : err);
+        });
+    }
+
+    //Remove do S3 as imagens enviadas que não chegaram a ser registradas
+    async function descartarImagens(req, enviados) {
+        try {
+            await imagensProduto.removerObjetos(enviados);
+        } catch (err) {
+            logger.error('Erro ao remover imagens não registradas', req, err, { keys: enviados.map(e => e.key) });
+        }
+    }
+
+    /**
+     * @swagger
+     * /product/{id}/images:
+     *   post:
+     *     tags:
+     *       - CRUD MySQL
+     *     summary: Envia uma ou mais imagens para o produto
+     *     description: |
+     *       As imagens (JPEG, PNG, GIF ou WebP, conferidos pelo conteúdo) são gravadas em PRODUCT_IMAGES_BUCKET
+     *       sob um prefixo do produto e adicionadas ao fim da lista. Se o produto ainda não tem imagem principal,
+     *       a primeira enviada assume.
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         multipart/form-data:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               images:
+     *                 type: array
+     *                 items:
+     *                   type: string
+     *                   format: binary
+     *     responses:
+     *       201:
+     *         description: Todas as imagens do produto, em ordem
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/ProductImage'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       413:
+     *         $ref: '#/components/responses/PayloadTooLarge'
+     *       415:
+     *         $ref: '#/components/responses/UnsupportedMediaType'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.post('/:id/images', autorizar('editor'), prepararUploadImagens, async (req, res) => {
+        if (!req.files?.length) {
+            throw new ValidationError('Nenhuma imagem enviada.', [{ field: 'images', message: 'é obrigatório' }]);
+        }
+
+        const enviados = req.files.map(({ bucket, key }) => ({ bucket, key }));
+        let images;
+        try {
+            images = await imagensProduto.adicionar(Number(req.params.id), req.files);
+        } catch (error) {
+            await descartarImagens(req, enviados);
+            throw error;
+        }
+        //O produto foi removido durante o upload
+        if (!images) {
+            await descartarImagens(req, enviados);
+            throw new NotFoundError('Produto não encontrado');
+        }
+
+        logger.info('Imagens do produto enviadas', req, { productId: req.params.id, keys: enviados.map(e => e.key) });
+        res.status(201).json(images);
+    });
+
+    /**
+     * @swagger
+     * /product/{id}/images:
+     *   get:
+     *     tags:
+     *       - CRUD MySQL
+     *     summary: Lista as imagens do produto, em ordem, com URLs pré-assinadas
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Imagens do produto
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/ProductImage'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.get('/:id/images', autorizar('reader'), async (req, res) => {
+        if (!await imagensProduto.produtoExiste(req.params.id)) {
+            throw new NotFoundError('Produto não encontrado');
+        }
+        res.json(await imagensProduto.listar(req.params.id));
+    });
+
+    /**
+     * @swagger
+     * /product/{id}/images/{imageId}:
+     *   patch:
+     *     tags:
+     *       - CRUD MySQL
+     *     summary: Reordena a imagem e/ou a torna principal
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: imageId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/ProductImageUpdate'
+     *     responses:
+     *       200:
+     *         description: Todas as imagens do produto, na nova ordem
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/ProductImage'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.patch('/:id/images/:imageId', autorizar('editor'), validarBody(ProductImageUpdate), async (req, res) => {
+        const images = await imagensProduto.atualizar(Number(req.params.id), Number(req.params.imageId), req.body);
+        if (!images) throw new NotFoundError('Imagem não encontrada');
+
+        logger.info('Imagem do produto atualizada', req, { productId: req.params.id, imageId: req.params.imageId, ...req.body });
+        res.json(images);
+    });
+
+    /**
+     * @swagger
+     * /product/{id}/images/{imageId}:
+     *   delete:
+     *     tags:
+     *       - CRUD MySQL
+     *     summary: Remove uma imagem do produto (registro e objeto no S3)
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: imageId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Imagem removida
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       502:
+     *         $ref: '#/components/responses/UpstreamError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.delete('/:id/images/:imageId', autorizar('admin'), async (req, res) => {
+        const removida = await imagensProduto.remover(Number(req.params.id), Number(req.params.imageId));
+        if (!removida) throw new NotFoundError('Imagem não encontrada');
+
+        logger.info('Imagem do produto removida', req, { productId: req.params.id, imageId: req.params.imageId, key: removida.key });
+        res.json({ message: 'Imagem removida com sucesso.' });
+    });
+    //#endregion
+
+    return router;
+}
+
+module.exports = { criarRotasProdutos };
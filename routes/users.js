@@ -0,0 +1,378 @@
+const express = require('express');
+const { autorizar } = require('../auth');
+const { validarBody } = require('../validation');
+const { ForbiddenError, NotFoundError, ConflictError } = require('../errors');
+const { UserInput, UserUpdate } = require('../schemas');
+const { montarConsultaUsuarios } = require('../userRepository');
+
+//CRUD de usuários no MongoDB, montado em /usuarios
+function criarRotasUsuarios({ usuarios, catalogo, limites, logger }) {
+    const router = express.Router();
+
+    /**
+     * @swagger
+     * /usuarios:
+     *   post:
+     *     tags:
+     *       - CRUD MongoDb
+     *     summary: Criar um novo usuário
+     *     description: Este endpoint cria um novo usuário no sistema.
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/UserInput'
+     *     responses:
+     *       201:
+     *         description: Usuário criado com sucesso.
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               $ref: '#/components/schemas/User'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       409:
+     *         description: Email já cadastrado
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.post('/', autorizar('editor'), validarBody(UserInput), async (req, res) => {
+        const user = await usuarios.criar(req.body);
+        logger.info('Usuário criado', req, { id: user.id });
+        res.status(201).send(user);
+    });
+
+    /**
+     * @swagger
+     * /usuarios:
+     *   get:
+     *     tags:
+     *       - CRUD MongoDb
+     *     summary: Listar os usuários com busca, filtros, ordenação e paginação
+     *     description: |
+     *       Retorna os usuários cadastrados no sistema, sem os removidos. A paginação pode ser por page/limit
+     *       ou por cursor: cada resposta traz nextCursor, que deve ser enviado em cursor para obter a próxima página.
+     *     parameters:
+     *       - in: query
+     *         name: q
+     *         description: Busca o texto no nome ou no email (sem diferenciar maiúsculas)
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: name
+     *         description: Nome exato
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: email
+     *         description: Email exato
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: sort
+     *         description: Campo e direção da ordenação (name, email, createdAt ou updatedAt), ex. name:asc
+     *         schema:
+     *           type: string
+     *           example: createdAt:desc
+     *       - in: query
+     *         name: page
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           default: 1
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *           default: 20
+     *       - in: query
+     *         name: cursor
+     *         description: nextCursor da resposta anterior (não pode ser usado com page)
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: fields
+     *         description: Campos retornados, separados por vírgula (name, email, createdAt, updatedAt, deletedAt); o _id sempre vem
+     *         schema:
+     *           type: string
+     *           example: name,email
+     *       - in: query
+     *         name: includeDeleted
+     *         description: Inclui os usuários removidos (somente admin)
+     *         schema:
+     *           type: boolean
+     *           default: false
+     *     responses:
+     *       200:
+     *         description: Página de usuários
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 data:
+     *                   type: array
+     *                   items:
+     *                     $ref: '#/components/schemas/User'
+     *                 total:
+     *                   type: integer
+     *                   description: Total de usuários que atendem aos filtros
+     *                 page:
+     *                   type: integer
+     *                   description: Página atual (ausente na paginação por cursor)
+     *                 limit:
+     *                   type: integer
+     *                 totalPages:
+     *                   type: integer
+     *                 nextCursor:
+     *                   type: string
+     *                   nullable: true
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       429:
+     *         $ref: '#/components/responses/TooManyRequests'
+     */
+    router.get('/', autorizar('reader'), limites.rota('usuarios:listar'), async (req, res) => {
+        if (req.query.includeDeleted === 'true' && !req.user.roles.includes('admin')) {
+            throw new ForbiddenError('Somente admin pode listar usuários removidos');
+        }
+        const consulta = montarConsultaUsuarios(req.query);
+        const { page, limit, porCursor } = consulta;
+
+        const { data, total, nextCursor } = await usuarios.listar(consulta);
+
+        logger.info('Usuários encontrados', req, { total, returned: data.length });
+        res.send({
+            data,
+            total,
+            ...(!porCursor && { page, totalPages: Math.ceil(total / limit) }),
+            limit,
+            nextCursor,
+        });
+    });
+
+    /**
+     * @swagger
+     * /usuarios/{id}:
+     *   get:
+     *     tags:
+     *       - CRUD MongoDb
+     *     summary: Obter um usuário específico
+     *     description: Este endpoint retorna um usuário baseado no ID fornecido.
+     *     parameters:
+     *       - name: id
+     *         in: path
+     *         required: true
+     *         description: ID do usuário
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Usuário encontrado
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/User'
+     *       404:
+     *         description: Usuário não encontrado.
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.get('/:id', autorizar('reader'), async (req, res) => {
+        const user = await usuarios.buscar(req.params.id);
+        if (!user) throw new NotFoundError('Usuário não encontrado');
+
+        logger.info('Usuário encontrado', req, { id: user.id });
+        res.send(user);
+    });
+
+    /**
+     * @swagger
+     * /usuarios/{id}:
+     *   put:
+     *     tags:
+     *       - CRUD MongoDb
+     *     summary: Atualizar um usuário específico
+     *     description: Este endpoint atualiza um usuário baseado no ID fornecido.
+     *     parameters:
+     *       - name: id
+     *         in: path
+     *         required: true
+     *         description: ID do usuário
+     *         schema:
+     *           type: string
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/UserUpdate'
+     *     responses:
+     *       200:
+     *         description: Usuário atualizado
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/User'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         description: Usuário não encontrado.
+     *       409:
+     *         description: Email já cadastrado
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.put('/:id', autorizar('editor'), validarBody(UserUpdate), async (req, res) => {
+        const user = await usuarios.atualizar(req.params.id, req.body);
+        if (!user) throw new NotFoundError('Usuário não encontrado');
+
+        logger.info('Usuário atualizado', req, { id: user.id });
+        res.send(user);
+    });
+
+    /**
+     * @swagger
+     * /usuarios/{id}:
+     *   delete:
+     *     tags:
+     *       - CRUD MongoDb
+     *     summary: Remover um usuário específico
+     *     description: Marca o usuário como removido (deletedAt). Ele pode ser restaurado ou expurgado depois.
+     *     parameters:
+     *       - name: id
+     *         in: path
+     *         required: true
+     *         description: ID do usuário
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Usuário removido
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 message:
+     *                   type: string
+     *       404:
+     *         description: Usuário não encontrado.
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.delete('/:id', autorizar('admin'), async (req, res) => {
+        const user = await usuarios.remover(req.params.id);
+        if (!user) throw new NotFoundError('Usuário não encontrado');
+
+        logger.info('Usuário removido', req, { id: req.params.id });
+        res.send({ message: 'Usuário removido com sucesso' });
+    });
+
+    /**
+     * @swagger
+     * /usuarios/{id}/restore:
+     *   post:
+     *     tags:
+     *       - CRUD MongoDb
+     *     summary: Restaurar um usuário removido
+     *     parameters:
+     *       - name: id
+     *         in: path
+     *         required: true
+     *         description: ID do usuário
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Usuário restaurado
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/User'
+     *       404:
+     *         description: Nenhum usuário removido com este ID.
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.post('/:id/restore', autorizar('admin'), async (req, res) => {
+        const user = await usuarios.restaurar(req.params.id);
+        if (!user) throw new NotFoundError('Usuário removido não encontrado');
+
+        logger.info('Usuário restaurado', req, { id: req.params.id });
+        res.send(user);
+    });
+
+    /**
+     * @swagger
+     * /usuarios/{id}/purge:
+     *   delete:
+     *     tags:
+     *       - CRUD MongoDb
+     *     summary: Expurgar definitivamente um usuário removido
+     *     description: Apaga o registro e libera o email. O usuário precisa ter sido removido antes.
+     *     parameters:
+     *       - name: id
+     *         in: path
+     *         required: true
+     *         description: ID do usuário
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Usuário expurgado
+     *       404:
+     *         description: Usuário não encontrado.
+     *       409:
+     *         description: O usuário não foi removido antes
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     */
+    router.delete('/:id/purge', autorizar('admin'), async (req, res) => {
+        const situacao = await usuarios.expurgar(req.params.id);
+        if (situacao === 'ativo') throw new ConflictError('Remova o usuário antes de expurgá-lo');
+        if (!situacao) throw new NotFoundError('Usuário não encontrado');
+
+        //Os arquivos do catálogo deixam de apontar para o usuário
+        await catalogo.desvincularUsuario(req.params.id);
+
+        logger.info('Usuário expurgado', req, { id: req.params.id });
+        res.send({ message: 'Usuário expurgado com sucesso' });
+    });
+
+    return router;
+}
+
+module.exports = { criarRotasUsuarios };
@@ -0,0 +1,397 @@
+//Schemas dos corpos de requisição. São publicados no swagger (components.schemas)
+//e usados pelo validation.js, assim a documentação e a validação não divergem.
+
+const ProductInput = {
+    type: 'object',
+    required: ['name', 'description', 'price'],
+    properties: {
+        name: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 255,
+        },
+        description: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 255,
+        },
+        price: {
+            type: 'number',
+            minimum: 0,
+            maximum: 99999999.99, //DECIMAL(10,2)
+        },
+    },
+};
+
+const UserInput = {
+    type: 'object',
+    required: ['name', 'email'],
+    additionalProperties: false,
+    properties: {
+        name: {
+            type: 'string',
+            description: 'Nome do usuário',
+            minLength: 1,
+            maxLength: 100,
+        },
+        email: {
+            type: 'string',
+            format: 'email',
+            description: 'Email do usuário',
+            maxLength: 254,
+        },
+    },
+};
+
+//Na atualização todos os campos são opcionais, mas seguem as mesmas regras;
+//campos fora de properties (_id, deletedAt, createdAt...) são recusados
+const UserUpdate = {
+    ...UserInput,
+    required: [],
+};
+
+const S3Key = {
+    type: 'string',
+    description: 'Chave (caminho) do objeto no bucket',
+    minLength: 1,
+    maxLength: 1024,
+};
+
+//Validade das URLs pré-assinadas: até 7 dias (limite do SigV4)
+const ExpiresIn = {
+    type: 'integer',
+    description: 'Validade da URL em segundos',
+    minimum: 1,
+    maximum: 604800,
+    default: 900,
+};
+
+const PresignUploadInput = {
+    type: 'object',
+    required: ['key'],
+    properties: {
+        key: S3Key,
+        contentType: {
+            type: 'string',
+            description: 'Content-Type que o cliente deverá enviar no PUT',
+            maxLength: 255,
+        },
+        expiresIn: ExpiresIn,
+    },
+};
+
+const PresignDownloadInput = {
+    type: 'object',
+    required: ['key'],
+    properties: {
+        key: S3Key,
+        fileName: {
+            type: 'string',
+            description: 'Nome sugerido ao navegador (Content-Disposition: attachment)',
+            maxLength: 255,
+        },
+        expiresIn: ExpiresIn,
+    },
+};
+
+const PresignPostInput = {
+    type: 'object',
+    required: ['key'],
+    properties: {
+        key: {
+            ...S3Key,
+            description: 'Chave do objeto; termine com ${filename} para usar o nome do arquivo enviado',
+        },
+        contentType: {
+            type: 'string',
+            description: 'Content-Type exigido; termine com / para aceitar qualquer subtipo (ex. image/)',
+            maxLength: 255,
+        },
+        maxSize: {
+            type: 'integer',
+            description: 'Tamanho máximo do arquivo em bytes (nunca acima do máximo da política do bucket)',
+            minimum: 1,
+            maximum: 5 * 1024 * 1024 * 1024,
+        },
+        expiresIn: ExpiresIn,
+    },
+};
+
+const MultipartCreateInput = {
+    type: 'object',
+    required: ['key'],
+    properties: {
+        key: S3Key,
+        contentType: {
+            type: 'string',
+            maxLength: 255,
+        },
+    },
+};
+
+//O S3 aceita no máximo 10.000 partes por upload
+const PartNumber = {
+    type: 'integer',
+    minimum: 1,
+    maximum: 10000,
+};
+
+const MultipartPartUrlsInput = {
+    type: 'object',
+    required: ['key', 'partNumbers'],
+    properties: {
+        key: S3Key,
+        partNumbers: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 1000,
+            items: PartNumber,
+        },
+        expiresIn: ExpiresIn,
+    },
+};
+
+const MultipartCompleteInput = {
+    type: 'object',
+    required: ['key'],
+    properties: {
+        key: S3Key,
+        parts: {
+            type: 'array',
+            description: 'Partes enviadas; se omitido, usa todas as partes já registradas no S3',
+            minItems: 1,
+            maxItems: 10000,
+            items: {
+                type: 'object',
+                required: ['partNumber', 'etag'],
+                properties: {
+                    partNumber: PartNumber,
+                    etag: { type: 'string', minLength: 1 },
+                },
+            },
+        },
+    },
+};
+
+//Informe keys (lista de chaves) ou prefix (remove tudo abaixo do prefixo)
+const BulkDeleteInput = {
+    type: 'object',
+    properties: {
+        keys: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 10000,
+            items: S3Key,
+        },
+        prefix: {
+            ...S3Key,
+            description: 'Remove recursivamente todos os objetos sob este prefixo',
+        },
+    },
+};
+
+//Informe objects (pares origem/destino) ou sourcePrefix (copia tudo trocando o prefixo)
+const BulkCopyInput = {
+    type: 'object',
+    properties: {
+        destinationBucket: {
+            type: 'string',
+            description: 'Bucket de destino; por padrão o próprio bucket de origem',
+            minLength: 3,
+            maxLength: 63,
+        },
+        objects: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 1000,
+            items: {
+                type: 'object',
+                required: ['sourceKey', 'destinationKey'],
+                properties: {
+                    sourceKey: S3Key,
+                    destinationKey: S3Key,
+                },
+            },
+        },
+        sourcePrefix: S3Key,
+        destinationPrefix: {
+            type: 'string',
+            maxLength: 1024,
+        },
+    },
+};
+
+const BucketCreateInput = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: {
+            type: 'string',
+            description: 'Nome do bucket (regras de nomenclatura do S3)',
+            pattern: '^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$',
+        },
+        region: {
+            type: 'string',
+            description: 'Região do bucket; por padrão a região configurada na API',
+            maxLength: 32,
+        },
+    },
+};
+
+const BucketVersioningInput = {
+    type: 'object',
+    required: ['status'],
+    properties: {
+        status: {
+            type: 'string',
+            enum: ['Enabled', 'Suspended'],
+        },
+    },
+};
+
+const BucketCorsInput = {
+    type: 'object',
+    required: ['rules'],
+    properties: {
+        rules: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 100,
+            items: {
+                type: 'object',
+                required: ['allowedOrigins', 'allowedMethods'],
+                properties: {
+                    id: { type: 'string', maxLength: 255 },
+                    allowedOrigins: {
+                        type: 'array',
+                        minItems: 1,
+                        items: { type: 'string', minLength: 1 },
+                    },
+                    allowedMethods: {
+                        type: 'array',
+                        minItems: 1,
+                        items: { type: 'string', enum: ['GET', 'PUT', 'POST', 'DELETE', 'HEAD'] },
+                    },
+                    allowedHeaders: {
+                        type: 'array',
+                        items: { type: 'string', minLength: 1 },
+                    },
+                    exposeHeaders: {
+                        type: 'array',
+                        items: { type: 'string', minLength: 1 },
+                    },
+                    maxAgeSeconds: { type: 'integer', minimum: 0 },
+                },
+            },
+        },
+    },
+};
+
+const Days = { type: 'integer', minimum: 1 };
+
+const BucketLifecycleInput = {
+    type: 'object',
+    required: ['rules'],
+    properties: {
+        rules: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 1000,
+            items: {
+                type: 'object',
+                required: ['id'],
+                properties: {
+                    id: { type: 'string', minLength: 1, maxLength: 255 },
+                    status: { type: 'string', enum: ['Enabled', 'Disabled'] },
+                    prefix: { type: 'string', maxLength: 1024 },
+                    expirationDays: Days,
+                    noncurrentVersionExpirationDays: Days,
+                    abortIncompleteMultipartUploadDays: Days,
+                    transitions: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['days', 'storageClass'],
+                            properties: {
+                                days: { type: 'integer', minimum: 0 },
+                                storageClass: {
+                                    type: 'string',
+                                    enum: ['STANDARD_IA', 'ONEZONE_IA', 'INTELLIGENT_TIERING', 'GLACIER_IR', 'GLACIER', 'DEEP_ARCHIVE'],
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+};
+
+const BucketTagsInput = {
+    type: 'object',
+    required: ['tags'],
+    properties: {
+        tags: {
+            type: 'object',
+            description: 'Mapa chave/valor; no máximo 50 tags, chaves até 128 e valores até 256 caracteres',
+            example: { projeto: 'api-aws', ambiente: 'hml' },
+        },
+    },
+};
+
+//Reordenação e imagem principal de um produto
+const ProductImageUpdate = {
+    type: 'object',
+    properties: {
+        position: {
+            type: 'integer',
+            minimum: 0,
+            description: 'Nova posição (0 = primeira); as demais imagens são deslocadas',
+        },
+        isPrimary: {
+            type: 'boolean',
+            enum: [true],
+            description: 'Torna esta a imagem principal do produto',
+        },
+    },
+};
+
+//Reconciliação entre um bucket e o catálogo de arquivos
+const FileReconcileInput = {
+    type: 'object',
+    required: ['bucket'],
+    properties: {
+        bucket: {
+            type: 'string',
+            minLength: 3,
+            maxLength: 63,
+            example: 'meu-bucket',
+        },
+        fix: {
+            type: 'boolean',
+            description: 'Remove registros sem objeto no S3 e cataloga os objetos sem registro',
+            default: false,
+        },
+    },
+};
+
+module.exports = {
+    ProductInput,
+    UserInput,
+    UserUpdate,
+    PresignUploadInput,
+    PresignDownloadInput,
+    PresignPostInput,
+    MultipartCreateInput,
+    MultipartPartUrlsInput,
+    MultipartCompleteInput,
+    BulkDeleteInput,
+    BulkCopyInput,
+    BucketCreateInput,
+    BucketVersioningInput,
+    BucketCorsInput,
+    BucketLifecycleInput,
+    BucketTagsInput,
+    ProductImageUpdate,
+    FileReconcileInput,
+};
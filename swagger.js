@@ -1,23 +1,190 @@
+const path = require('path');
 const swaggerJSDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const schemas = require('./schemas');
+const { config } = require('./config');
+const { version } = require('./package.json');
+
+//Resposta de erro padrão (envelope do errorHandler)
+const erro = (description) => ({
+    description,
+    content: {
+        'application/json': {
+            schema: { $ref: '#/components/schemas/Error' },
+        },
+    },
+});
 
 const options = {
     definition: {
         openapi: '3.0.0',
         info: {
             title: 'API AWS',
-            version: '0.0.1',
-            description: 'API que vai interagir com CRUD MySQL e CRUD MongoDB em ambiente de nuvem',
-        }
+            version,
+            description: 'API que vai interagir com CRUD MySQL e CRUD MongoDB em ambiente de nuvem. '
+                + 'Todas as rotas, exceto /health e /ready, estão sujeitas a um limite de requisições por cliente '
+                + '(429 com Retry-After e headers RateLimit-*); algumas rotas têm limites próprios.',
+        },
+        security: [{ bearerAuth: [] }],
+        components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    bearerFormat: 'JWT',
+                    description: 'Token JWT com a claim roles (reader, editor ou admin)',
+                },
+            },
+            schemas: {
+                ...schemas,
+                Error: {
+                    type: 'object',
+                    properties: {
+                        error: { type: 'string' },
+                        code: { type: 'string', example: 'NOT_FOUND' },
+                        details: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    field: { type: 'string' },
+                                    message: { type: 'string' },
+                                },
+                            },
+                        },
+                        requestId: { type: 'string' },
+                    },
+                },
+                User: {
+                    type: 'object',
+                    properties: {
+                        _id: { type: 'string' },
+                        name: { type: 'string' },
+                        email: { type: 'string' },
+                        deletedAt: { type: 'string', format: 'date-time', nullable: true },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' },
+                    },
+                },
+                File: {
+                    type: 'object',
+                    properties: {
+                        _id: { type: 'string' },
+                        bucket: { type: 'string' },
+                        key: { type: 'string' },
+                        originalName: { type: 'string' },
+                        size: { type: 'integer' },
+                        contentType: { type: 'string' },
+                        checksum: { type: 'string', description: 'SHA-256 do conteúdo' },
+                        etag: { type: 'string' },
+                        uploadedBy: { type: 'string', description: 'sub do token de quem enviou' },
+                        usuario: { type: 'string', description: 'ID do usuário vinculado' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' },
+                    },
+                },
+                ProductImage: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        key: { type: 'string' },
+                        contentType: { type: 'string' },
+                        size: { type: 'integer' },
+                        position: { type: 'integer' },
+                        isPrimary: { type: 'boolean' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        url: { type: 'string', description: 'URL pré-assinada de download' },
+                        expiresIn: { type: 'integer', description: 'Validade da URL em segundos' },
+                    },
+                },
+                Readiness: {
+                    type: 'object',
+                    properties: {
+                        status: { type: 'string', enum: ['ready', 'not_ready'] },
+                        state: { type: 'string', enum: ['iniciando', 'ativo', 'encerrando', 'parado'], description: 'Fase do ciclo de vida da aplicação' },
+                        timestamp: { type: 'string', format: 'date-time' },
+                        checks: {
+                            type: 'object',
+                            description: 'Uma entrada por dependência (mysql, mongodb, s3) mais logs',
+                            additionalProperties: {
+                                type: 'object',
+                                properties: {
+                                    status: { type: 'string', enum: ['up', 'down', 'degraded'] },
+                                    latencyMs: { type: 'integer' },
+                                    error: { type: 'string', description: 'Código do erro, quando down' },
+                                },
+                            },
+                        },
+                    },
+                },
+                BulkReport: {
+                    type: 'object',
+                    properties: {
+                        total: { type: 'integer' },
+                        succeededCount: { type: 'integer' },
+                        failedCount: { type: 'integer' },
+                        succeeded: {
+                            type: 'array',
+                            items: {},
+                            description: 'Chaves (ou pares origem/destino) processadas com sucesso',
+                        },
+                        failed: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    key: { type: 'string' },
+                                    sourceKey: { type: 'string' },
+                                    destinationKey: { type: 'string' },
+                                    code: { type: 'string' },
+                                    message: { type: 'string' },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+            responses: {
+                Unauthorized: erro('Token ausente ou inválido'),
+                Forbidden: erro('Papel do usuário não permite esta operação'),
+                ValidationError: erro('Requisição inválida'),
+                NotFound: erro('Recurso não encontrado'),
+                Conflict: erro('Conflito com um registro existente'),
+                PayloadTooLarge: erro('Arquivo maior que o permitido'),
+                UnsupportedMediaType: erro('Tipo de arquivo não permitido pela política de upload'),
+                UpstreamError: erro('Falha em um serviço da AWS'),
+                TooManyRequests: {
+                    ...erro('Limite de requisições do cliente excedido'),
+                    headers: {
+                        'Retry-After': {
+                            description: 'Segundos até o cliente poder tentar novamente',
+                            schema: { type: 'integer' },
+                        },
+                        'RateLimit-Limit': { schema: { type: 'integer' } },
+                        'RateLimit-Remaining': { schema: { type: 'integer' } },
+                        'RateLimit-Reset': {
+                            description: 'Segundos até o limite liberar novas requisições',
+                            schema: { type: 'integer' },
+                        },
+                        'RateLimit-Policy': {
+                            description: 'Limite e janela em segundos, ex. 60;w=60',
+                            schema: { type: 'string' },
+                        },
+                    },
+                },
+            },
+        },
     },
-    apis: ['./server.js'],
+    apis: [path.join(__dirname, 'app.js'), path.join(__dirname, 'routes', '*.js')],
 };
 
 const swaggerSpec = swaggerJSDoc(options);
 
+//A especificação também é servida em JSON, para o gerador do cliente e ferramentas externas
 const swaggerDocs = (app) => {
+    app.get('/openapi.json', (req, res) => res.json(swaggerSpec));
     app.use('/swagger', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
-    console.log('Swagger rodando em: http://localhost:3000/swagger');
+    console.log(`Swagger rodando em: http://localhost:${config.port}/swagger`);
 };
 
-module.exports = swaggerDocs;
+module.exports = { swaggerDocs, swaggerSpec };
@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { criarAppDeTeste, criarLoggerEmMemoria, autorizacao } = require('./helpers');
+
+describe('API', () => {
+    let app;
+    let store;
+
+    before(() => {
+        ({ app, store } = criarAppDeTeste());
+    });
+
+    after(() => store.parar());
+
+    it('GET /health responde sem token e fora do limite global', async () => {
+        const res = await request(app).get('/health').expect(200);
+        assert.equal(res.body.status, 'ok');
+        assert.equal(res.get('RateLimit-Limit'), undefined);
+    });
+
+    it('rota inexistente responde 404 no envelope de erro, com o mesmo requestId do header', async () => {
+        const res = await request(app).get('/nao-existe').expect(404);
+        assert.equal(res.body.code, 'NOT_FOUND');
+        assert.equal(res.body.error, 'Rota GET /nao-existe não encontrada');
+        assert.equal(res.body.requestId, res.get('X-Request-Id'));
+    });
+
+    it('rota protegida sem token responde 401', async () => {
+        const res = await request(app).get('/usuarios').expect(401);
+        assert.equal(res.body.code, 'UNAUTHORIZED');
+    });
+
+    it('token inválido responde 401', async () => {
+        const res = await request(app).get('/usuarios').set('Authorization', 'Bearer invalido').expect(401);
+        assert.equal(res.body.code, 'UNAUTHORIZED');
+    });
+
+    it('papel insuficiente responde 403', async () => {
+        const res = await request(app).post('/buckets').set('Authorization', autorizacao('reader'))
+            .send({ name: 'uploads-teste' }).expect(403);
+        assert.equal(res.body.code, 'FORBIDDEN');
+    });
+
+    it('bucket fora da lista permitida responde 403', async () => {
+        const res = await request(app).get('/buckets/outro-bucket').set('Authorization', autorizacao('reader')).expect(403);
+        assert.equal(res.body.code, 'FORBIDDEN');
+    });
+
+    it('bucket fora da lista permitida responde 401 sem token, como os permitidos', async () => {
+        const fora = await request(app).get('/buckets/outro-bucket').expect(401);
+        const permitido = await request(app).get('/buckets/uploads-teste').expect(401);
+        assert.equal(fora.body.code, 'UNAUTHORIZED');
+        assert.equal(fora.body.error, permitido.body.error);
+    });
+
+    it('body fora do schema responde 400 com os campos', async () => {
+        const res = await request(app).post('/usuarios').set('Authorization', autorizacao('editor'))
+            .send({ name: null, extra: 1 }).expect(400);
+        assert.equal(res.body.code, 'VALIDATION_ERROR');
+        const campos = res.body.details.map(d => d.field);
+        assert.ok(campos.includes('name'));
+        assert.ok(campos.includes('email'));
+        assert.ok(campos.includes('extra'));
+    });
+
+    it('JSON malformado responde 400', async () => {
+        const res = await request(app).post('/usuarios').set('Authorization', autorizacao('editor'))
+            .set('Content-Type', 'application/json').send('{"name":').expect(400);
+        assert.equal(res.body.code, 'VALIDATION_ERROR');
+        assert.equal(res.body.error, 'JSON inválido');
+    });
+
+    it('charset não suportado mantém o 415 do body-parser', async () => {
+        const res = await request(app).post('/usuarios').set('Authorization', autorizacao('editor'))
+            .set('Content-Type', 'application/json; charset=foo').send('{}').expect(415);
+        assert.equal(res.body.code, 'UNSUPPORTED_MEDIA_TYPE');
+    });
+
+    it('upload de arquivo vazio responde 400 sem ficar pendurado', async () => {
+        const res = await request(app).post('/buckets/uploads-teste/upload').set('Authorization', autorizacao('editor'))
+            .attach('file', Buffer.alloc(0), 'vazio.txt').timeout(5000).expect(400);
+        assert.equal(res.body.code, 'VALIDATION_ERROR');
+        assert.deepEqual(res.body.details, [{ field: 'file', message: 'não pode ser vazio' }]);
+    });
+
+    it('preflight do CORS aceita PATCH', async () => {
+        const res = await request(app).options('/product/1/images/2')
+            .set('Origin', 'https://app.exemplo.com')
+            .set('Access-Control-Request-Method', 'PATCH')
+            .expect(204);
+        assert.match(res.get('Access-Control-Allow-Methods'), /\bPATCH\b/);
+    });
+});
+
+describe('limite global de requisições', () => {
+    it('responde 429 com Retry-After depois de RATE_LIMIT_MAX requisições', async () => {
+        const { app, store } = criarAppDeTeste();
+        try {
+            const max = Number(process.env.RATE_LIMIT_MAX);
+            for (let i = 0; i < max; i++) {
+                const res = await request(app).get('/nao-existe').expect(404);
+                assert.equal(res.get('RateLimit-Remaining'), String(max - i - 1));
+            }
+            const res = await request(app).get('/nao-existe').expect(429);
+            assert.equal(res.body.code, 'TOO_MANY_REQUESTS');
+            assert.ok(Number(res.get('Retry-After')) > 0);
+        } finally {
+            store.parar();
+        }
+    });
+});
+
+describe('logger injetado', () => {
+    it('recebe o access log, os erros 5xx e as rejeições do limite', async () => {
+        const logger = criarLoggerEmMemoria();
+        const { app, store } = criarAppDeTeste({ logger });
+        try {
+            await request(app).get('/nao-existe').expect(404);
+            //O pool dos testes falha em qualquer consulta
+            await request(app).get('/product').set('Authorization', autorizacao('reader')).expect(500);
+            for (let i = 0; i < Number(process.env.RATE_LIMIT_MAX); i++) await request(app).get('/nao-existe');
+
+            const mensagens = logger.registros.map(([level, message]) => `${level} ${message}`);
+            assert.ok(mensagens.includes('warn GET /nao-existe 404'));
+            assert.ok(mensagens.includes('error Erro interno'));
+            assert.ok(mensagens.includes('error GET /product 500'));
+            assert.ok(mensagens.includes('error Limite de requisições excedido'));
+        } finally {
+            store.parar();
+        }
+    });
+});
@@ -0,0 +1,634 @@
+//Clientes em memória para exercitar as rotas e serviços sem MySQL, MongoDB, S3 ou CloudWatch.
+//Cobrem só o que os repositórios e serviços usam; SQL ou operação desconhecida falha, para o teste não passar por engano.
+const { PassThrough } = require('node:stream');
+const crypto = require('node:crypto');
+const mongoose = require('mongoose');
+
+//#region MySQL
+//Condições "coluna OP ?" unidas por AND, como as montadas pelos repositórios
+function filtrarLinhas(linhas, where, params) {
+    if (!where) return linhas;
+    const condicoes = where.split(/\s+AND\s+/i).map((condicao) => {
+        const [, coluna, operador] = condicao.match(/^(\w+)\s+(LIKE|>=|<=|=)\s+\?$/i) ?? [];
+        if (!coluna) throw new Error(`Condição não suportada pelo MySQL em memória: ${condicao}`);
+        return { coluna, operador: operador.toUpperCase(), valor: params.shift() };
+    });
+
+    return linhas.filter(linha => condicoes.every(({ coluna, operador, valor }) => {
+        const atual = linha[coluna];
+        if (operador === '=') return String(atual) === String(valor);
+        if (operador === '>=') return Number(atual) >= Number(valor);
+        if (operador === '<=') return Number(atual) <= Number(valor);
+        const padrao = String(valor).replace(/\\(.)|([%_])|([.*+^$?{}()|[\]\\])/g, (_, escapado, curinga, especial) => {
+            if (escapado) return `\\${escapado}`;
+            if (curinga) return curinga === '%' ? '.*' : '.';
+            return `\\${especial}`;
+        });
+        return new RegExp(`^${padrao}$`, 'i').test(String(atual ?? ''));
+    }));
+}
+
+function ordenarLinhas(linhas, orderBy) {
+    const criterios = orderBy.split(',').map((parte) => {
+        const [coluna, direcao = 'ASC'] = parte.trim().split(/\s+/);
+        return { coluna, sinal: direcao.toUpperCase() === 'DESC' ? -1 : 1 };
+    });
+    return [...linhas].sort((a, b) => {
+        for (const { coluna, sinal } of criterios) {
+            if (a[coluna] < b[coluna]) return -sinal;
+            if (a[coluna] > b[coluna]) return sinal;
+        }
+        return 0;
+    });
+}
+
+//Pool com as tabelas em memória; tabelas é { nome: [linhas] }, e as linhas ganham id sequencial
+function criarMysqlEmMemoria(tabelas = {}) {
+    const dados = { product: [], product_image: [], ...tabelas };
+    let proximoId = Math.max(0, ...Object.values(dados).flat().map(linha => linha.id ?? 0)) + 1;
+
+    function executar(sql, params = []) {
+        const texto = sql.replace(/\s+/g, ' ').trim();
+        const valores = [...params];
+        let m;
+
+        if (/^USE /i.test(texto)) return [];
+
+        if ((m = texto.match(/^SELECT (COUNT\(\*\) AS total|\*|id) FROM (\w+)(?: WHERE (.+?))?(?: ORDER BY (.+?))?(?: LIMIT \? OFFSET \?)?(?: FOR UPDATE)?$/i))) {
+            const [, colunas, tabela, where, orderBy] = m;
+            let linhas = filtrarLinhas(dados[tabela], where, valores);
+            if (/^COUNT/i.test(colunas)) return [{ total: linhas.length }];
+            if (orderBy) linhas = ordenarLinhas(linhas, orderBy);
+            if (/ LIMIT \?/i.test(texto)) {
+                const [limit, offset] = valores;
+                linhas = linhas.slice(offset, offset + limit);
+            }
+            return linhas.map(linha => colunas === 'id' ? { id: linha.id } : { ...linha });
+        }
+
+        if ((m = texto.match(/^INSERT INTO (\w+) \(([^)]+)\) VALUES \(([^)]+)\)$/i))) {
+            const [, tabela, colunas] = m;
+            const linha = { id: proximoId++ };
+            colunas.split(',').forEach((coluna, i) => { linha[coluna.trim()] = valores[i] ?? null; });
+            dados[tabela].push(linha);
+            return { insertId: linha.id, affectedRows: 1 };
+        }
+
+        if ((m = texto.match(/^UPDATE (\w+) SET (.+?) WHERE (.+)$/i))) {
+            const [, tabela, atribuicoes, where] = m;
+            const colunas = atribuicoes.split(',').map(parte => parte.trim().match(/^(\w+) = \?$/)[1]);
+            const novos = valores.splice(0, colunas.length);
+            const linhas = filtrarLinhas(dados[tabela], where, valores);
+            for (const linha of linhas) colunas.forEach((coluna, i) => { linha[coluna] = novos[i]; });
+            return { affectedRows: linhas.length, changedRows: linhas.length };
+        }
+
+        if ((m = texto.match(/^DELETE FROM (\w+) WHERE (.+)$/i))) {
+            const [, tabela, where] = m;
+            const removidas = filtrarLinhas(dados[tabela], where, valores);
+            dados[tabela] = dados[tabela].filter(linha => !removidas.includes(linha));
+            //ON DELETE CASCADE de product_image
+            if (tabela === 'product') {
+                const ids = removidas.map(linha => linha.id);
+                dados.product_image = dados.product_image.filter(linha => !ids.includes(linha.product_id));
+            }
+            return { affectedRows: removidas.length };
+        }
+
+        throw new Error(`SQL não suportado pelo MySQL em memória: ${texto}`);
+    }
+
+    const conexao = {
+        query: async (sql, params) => [executar(sql, params)],
+        beginTransaction: async () => {},
+        commit: async () => {},
+        rollback: async () => {},
+        release: () => {},
+    };
+
+    return {
+        tabelas: dados,
+        query: conexao.query,
+        getConnection: async () => conexao,
+    };
+}
+//#endregion
+
+//#region MongoDB
+const ehOperadores = (condicao) => condicao !== null && typeof condicao === 'object'
+    && Object.getPrototypeOf(condicao) === Object.prototype
+    && Object.keys(condicao).every(chave => chave.startsWith('$'));
+
+const igual = (a, b) => (a ?? null) === null ? (b ?? null) === null : String(a) === String(b);
+
+function comparar(a, b) {
+    if (a instanceof Date || b instanceof Date) return new Date(a) - new Date(b);
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b));
+}
+
+const OPERADORES = {
+    $ne: (valor, arg) => !igual(valor, arg),
+    $in: (valor, arg) => arg.some(item => igual(valor, item)),
+    $gt: (valor, arg) => valor != null && comparar(valor, arg) > 0,
+    $gte: (valor, arg) => valor != null && comparar(valor, arg) >= 0,
+    $lt: (valor, arg) => valor != null && comparar(valor, arg) < 0,
+    $lte: (valor, arg) => valor != null && comparar(valor, arg) <= 0,
+    $regex: (valor, arg, { $options }) => new RegExp(arg, $options).test(valor ?? ''),
+    $options: () => true,
+};
+
+function corresponde(documento, filtro) {
+    return Object.entries(filtro).every(([campo, condicao]) => {
+        if (campo === '$and') return condicao.every(f => corresponde(documento, f));
+        if (campo === '$or') return condicao.some(f => corresponde(documento, f));
+        if (condicao instanceof RegExp) return condicao.test(documento[campo] ?? '');
+        if (!ehOperadores(condicao)) return igual(documento[campo], condicao);
+        return Object.entries(condicao).every(([operador, arg]) => {
+            if (!OPERADORES[operador]) throw new Error(`Operador não suportado pelo MongoDB em memória: ${operador}`);
+            return OPERADORES[operador](documento[campo], arg, condicao);
+        });
+    });
+}
+
+//Troca as operações do modelo por versões sobre um array, mantendo a validação e o cast do mongoose
+function modeloEmMemoria(Model) {
+    const documentos = [];
+    const timestamps = Boolean(Model.schema.options.timestamps);
+    const unicos = Object.keys(Model.schema.paths).filter(campo => Model.schema.paths[campo].options.unique);
+
+    //O cast do filtro dá os mesmos CastError do banco (ex. _id inválido)
+    const filtrar = (filtro = {}) => {
+        const convertido = new mongoose.Query().cast(Model, { ...filtro });
+        return documentos.filter(documento => corresponde(documento, convertido));
+    };
+
+    const hidratar = (documento) => documento && Model.hydrate({ ...documento });
+
+    function verificarUnicos(documento, ignorar) {
+        for (const campo of unicos) {
+            if (documentos.some(outro => outro !== ignorar && igual(outro[campo], documento[campo]))) {
+                throw Object.assign(new Error(`E11000 duplicate key error collection: ${Model.collection.name}`), {
+                    name: 'MongoServerError',
+                    code: 11000,
+                    keyValue: { [campo]: documento[campo] },
+                });
+            }
+        }
+    }
+
+    //Consulta encadeável (sort/skip/limit/lean) que só executa no await, como a Query do mongoose
+    function consulta(executar) {
+        const opcoes = { lean: false };
+        const encadear = (opcao) => (valor = true) => {
+            opcoes[opcao] = valor;
+            return query;
+        };
+        const query = {
+            sort: encadear('sort'),
+            skip: encadear('skip'),
+            limit: encadear('limit'),
+            lean: encadear('lean'),
+            then: (resolver, rejeitar) => Promise.resolve().then(() => executar(opcoes)).then(resolver, rejeitar),
+        };
+        return query;
+    }
+
+    function projetar(documento, projecao) {
+        if (!projecao) return { ...documento };
+        const campos = Object.keys(projecao).filter(campo => projecao[campo]);
+        return Object.fromEntries(['_id', ...campos].filter(campo => campo in documento).map(campo => [campo, documento[campo]]));
+    }
+
+    async function inserir(dados) {
+        const doc = new Model(dados);
+        await doc.validate();
+        if (timestamps) doc.createdAt = doc.updatedAt = new Date();
+        const documento = doc.toObject();
+        verificarUnicos(documento);
+        documentos.push(documento);
+        return hidratar(documento);
+    }
+
+    function aplicar(documento, update) {
+        const { $unset, $set, ...campos } = update;
+        const doc = Model.hydrate({ ...documento });
+        doc.set({ ...campos, ...$set });
+        for (const campo of Object.keys($unset ?? {})) doc.set(campo, undefined);
+        if (timestamps) doc.updatedAt = new Date();
+        return doc;
+    }
+
+    Object.assign(Model, {
+        documentos,
+
+        create: inserir,
+
+        find: (filtro, projecao) => consulta(({ sort, skip = 0, limit, lean }) => {
+            let encontrados = filtrar(filtro);
+            if (sort) {
+                const criterios = Object.entries(sort);
+                encontrados = [...encontrados].sort((a, b) => {
+                    for (const [campo, direcao] of criterios) {
+                        const diferenca = comparar(a[campo], b[campo]);
+                        if (diferenca !== 0) return diferenca * direcao;
+                    }
+                    return 0;
+                });
+            }
+            encontrados = encontrados.slice(skip, limit ? skip + limit : undefined).map(d => projetar(d, projecao));
+            return lean ? encontrados : encontrados.map(hidratar);
+        }),
+
+        findOne: (filtro) => consulta(({ lean }) => {
+            const [documento] = filtrar(filtro);
+            if (!documento) return null;
+            return lean ? { ...documento } : hidratar(documento);
+        }),
+
+        exists: async (filtro) => {
+            const [documento] = filtrar(filtro);
+            return documento ? { _id: documento._id } : null;
+        },
+
+        countDocuments: async (filtro) => filtrar(filtro).length,
+
+        async findOneAndUpdate(filtro, update, { new: novo = false, upsert = false, runValidators = false } = {}) {
+            const [anterior] = filtrar(filtro);
+            if (!anterior) {
+                if (!upsert) return null;
+                const igualdades = Object.fromEntries(Object.entries(filtro).filter(([campo, valor]) => !campo.startsWith('$') && !ehOperadores(valor)));
+                const criado = await inserir({ ...igualdades, ...update });
+                return novo ? criado : null;
+            }
+
+            const doc = aplicar(anterior, update);
+            if (runValidators) await doc.validate();
+            const atualizado = doc.toObject();
+            verificarUnicos(atualizado, anterior);
+            documentos[documentos.indexOf(anterior)] = atualizado;
+            return hidratar(novo ? atualizado : anterior);
+        },
+
+        async updateMany(filtro, update) {
+            const encontrados = filtrar(filtro);
+            for (const anterior of encontrados) {
+                documentos[documentos.indexOf(anterior)] = aplicar(anterior, update).toObject();
+            }
+            return { matchedCount: encontrados.length, modifiedCount: encontrados.length };
+        },
+
+        async deleteOne(filtro) {
+            const [documento] = filtrar(filtro);
+            if (documento) documentos.splice(documentos.indexOf(documento), 1);
+            return { deletedCount: documento ? 1 : 0 };
+        },
+
+        async deleteMany(filtro) {
+            const removidos = filtrar(filtro);
+            for (const documento of removidos) documentos.splice(documentos.indexOf(documento), 1);
+            return { deletedCount: removidos.length };
+        },
+    });
+    return Model;
+}
+
+//Conexão do mongoose que nunca conecta: todo modelo registrado nela passa a guardar os documentos em memória
+function criarMongoEmMemoria() {
+    const conexao = mongoose.createConnection();
+    const registrar = conexao.model.bind(conexao);
+    conexao.model = (nome, schema) => conexao.models[nome] ?? modeloEmMemoria(registrar(nome, schema));
+    return conexao;
+}
+//#endregion
+
+//#region S3
+const erroS3 = (code, statusCode, message = code) => Object.assign(new Error(message), { code, statusCode });
+
+//Requisição do aws-sdk v2: promise() ou createReadStream() com o evento httpHeaders antes do corpo
+function requisicao(executar) {
+    const ouvintes = {};
+    let abortada = false;
+    return {
+        promise: async () => executar(),
+        on(evento, fn) {
+            ouvintes[evento] = fn;
+            return this;
+        },
+        createReadStream() {
+            const stream = new PassThrough();
+            process.nextTick(async () => {
+                try {
+                    const { statusCode = 200, headers = {}, body } = await executar();
+                    if (abortada) return;
+                    ouvintes.httpHeaders?.(statusCode, headers);
+                    stream.end(body);
+                } catch (err) {
+                    stream.destroy(err);
+                }
+            });
+            return stream;
+        },
+        abort: () => { abortada = true; },
+    };
+}
+
+//Body das operações: Buffer, string ou stream (ex. a própria requisição no envio de partes pelo servidor)
+async function lerCorpo(body = '') {
+    if (typeof body.pipe !== 'function') return Buffer.from(body);
+    const blocos = [];
+    for await (const bloco of body) blocos.push(bloco);
+    return Buffer.concat(blocos);
+}
+
+const md5 = (conteudo) => crypto.createHash('md5').update(conteudo).digest('hex');
+
+//Cliente S3 com os buckets em memória; buckets é { nome: { chave: { Body, ContentType?, Metadata? } } }.
+//itensPorPagina limita as listagens de partes e de uploads multipart, para exercitar a paginação;
+//tamanhoMinimoDaParte é o mínimo do S3 para as partes, exceto a última (5 MB)
+function criarS3EmMemoria(buckets = {}, { itensPorPagina = 1000, tamanhoMinimoDaParte = 5 * 1024 * 1024 } = {}) {
+    const dados = new Map();
+    const uploads = new Map();
+    const agora = new Date();
+
+    const gravar = (bucket, key, { Body = '', ContentType = 'application/octet-stream', Metadata = {} }) => {
+        const body = Buffer.from(Body);
+        dados.get(bucket).objetos.set(key, {
+            body,
+            contentType: ContentType,
+            metadata: Metadata,
+            etag: `"${md5(body)}"`,
+            lastModified: agora,
+        });
+    };
+
+    for (const [nome, objetos] of Object.entries(buckets)) {
+        dados.set(nome, { criadoEm: agora, objetos: new Map() });
+        for (const [key, objeto] of Object.entries(objetos)) gravar(nome, key, objeto);
+    }
+
+    function bucket(nome) {
+        if (!dados.has(nome)) throw erroS3('NoSuchBucket', 404, 'The specified bucket does not exist');
+        return dados.get(nome);
+    }
+
+    function objeto(nomeBucket, key) {
+        const encontrado = bucket(nomeBucket).objetos.get(key);
+        if (!encontrado) throw erroS3('NoSuchKey', 404, 'The specified key does not exist.');
+        return encontrado;
+    }
+
+    function upload(nomeBucket, key, uploadId) {
+        const encontrado = uploads.get(uploadId);
+        if (!encontrado || encontrado.bucket !== nomeBucket || encontrado.key !== key) {
+            throw erroS3('NoSuchUpload', 404, 'The specified upload does not exist.');
+        }
+        return encontrado;
+    }
+
+    return {
+        buckets: dados,
+        uploads,
+
+        listBuckets: () => requisicao(() => ({
+            Buckets: [...dados].map(([Name, { criadoEm }]) => ({ Name, CreationDate: criadoEm })),
+        })),
+
+        listObjectsV2: ({ Bucket, Prefix = '', Delimiter, ContinuationToken, MaxKeys = 1000 }) => requisicao(() => {
+            const chaves = [...bucket(Bucket).objetos.keys()].sort()
+                .filter(key => key.startsWith(Prefix) && (!ContinuationToken || key > ContinuationToken));
+            const prefixos = new Set();
+            const conteudo = [];
+            for (const key of chaves) {
+                const resto = key.slice(Prefix.length);
+                if (Delimiter && resto.includes(Delimiter)) {
+                    prefixos.add(Prefix + resto.slice(0, resto.indexOf(Delimiter) + Delimiter.length));
+                } else {
+                    conteudo.push(key);
+                }
+            }
+            const pagina = conteudo.slice(0, MaxKeys);
+            const truncada = conteudo.length > MaxKeys;
+            return {
+                Contents: pagina.map((key) => {
+                    const { body, etag, lastModified } = objeto(Bucket, key);
+                    return { Key: key, Size: body.length, ETag: etag, LastModified: lastModified, StorageClass: 'STANDARD' };
+                }),
+                CommonPrefixes: [...prefixos].map(Prefix => ({ Prefix })),
+                IsTruncated: truncada,
+                ...(truncada && { NextContinuationToken: pagina.at(-1) }),
+            };
+        }),
+
+        headObject: ({ Bucket, Key }) => requisicao(() => {
+            if (!bucket(Bucket).objetos.has(Key)) throw erroS3('NotFound', 404, null);
+            const { body, contentType, etag, lastModified, metadata } = objeto(Bucket, Key);
+            return { ContentLength: body.length, ContentType: contentType, ETag: etag, LastModified: lastModified, Metadata: metadata };
+        }),
+
+        //Datas inválidas falham na validação de parâmetros do SDK, antes de chegar ao S3
+        getObject: ({ Bucket, Key, Range, IfNoneMatch, IfModifiedSince }) => requisicao(() => {
+            if (IfModifiedSince !== undefined && !(IfModifiedSince instanceof Date && !Number.isNaN(IfModifiedSince.getTime()))) {
+                throw Object.assign(new Error('Expected params.IfModifiedSince to be a Date object'), { code: 'InvalidParameterType' });
+            }
+            const { body, contentType, etag, lastModified } = objeto(Bucket, Key);
+            //O S3 compara em segundos, a precisão do header Last-Modified
+            const naoModificado = IfNoneMatch !== undefined
+                ? IfNoneMatch === etag
+                : IfModifiedSince !== undefined && Math.floor(lastModified / 1000) <= Math.floor(IfModifiedSince / 1000);
+            if (naoModificado) throw erroS3('NotModified', 304, null);
+            const headers = { 'content-type': contentType, etag, 'last-modified': lastModified.toUTCString() };
+            const [, inicio, fim] = Range?.match(/^bytes=(\d+)-(\d*)$/) ?? [];
+            if (inicio === undefined) {
+                return { headers: { ...headers, 'content-length': String(body.length) }, body, Body: body };
+            }
+            const parte = body.subarray(Number(inicio), fim ? Number(fim) + 1 : undefined);
+            return {
+                statusCode: 206,
+                headers: {
+                    ...headers,
+                    'content-length': String(parte.length),
+                    'content-range': `bytes ${inicio}-${Number(inicio) + parte.length - 1}/${body.length}`,
+                },
+                body: parte,
+                Body: parte,
+            };
+        }),
+
+        putObject: ({ Bucket, Key, ...objetoNovo }) => requisicao(() => {
+            bucket(Bucket);
+            gravar(Bucket, Key, objetoNovo);
+            return { ETag: dados.get(Bucket).objetos.get(Key).etag };
+        }),
+
+        //Como no S3, remover uma chave inexistente não é erro
+        deleteObject: ({ Bucket, Key }) => requisicao(() => {
+            bucket(Bucket).objetos.delete(Key);
+            return {};
+        }),
+
+        deleteObjects: ({ Bucket, Delete }) => requisicao(() => {
+            for (const { Key } of Delete.Objects) bucket(Bucket).objetos.delete(Key);
+            return { Deleted: Delete.Objects, Errors: [] };
+        }),
+
+        createMultipartUpload: ({ Bucket, Key, ContentType }) => requisicao(() => {
+            bucket(Bucket);
+            const UploadId = crypto.randomUUID();
+            uploads.set(UploadId, { bucket: Bucket, key: Key, contentType: ContentType, iniciadoEm: new Date(), partes: new Map() });
+            return { Bucket, Key, UploadId };
+        }),
+
+        uploadPart: ({ Bucket, Key, UploadId, PartNumber, Body }) => requisicao(async () => {
+            const destino = upload(Bucket, Key, UploadId);
+            const body = await lerCorpo(Body);
+            const ETag = `"${md5(body)}"`;
+            destino.partes.set(PartNumber, { body, etag: ETag, lastModified: new Date() });
+            return { ETag };
+        }),
+
+        listParts: ({ Bucket, Key, UploadId, PartNumberMarker = 0 }) => requisicao(() => {
+            const numeros = [...upload(Bucket, Key, UploadId).partes.keys()].sort((a, b) => a - b).filter(n => n > PartNumberMarker);
+            const pagina = numeros.slice(0, itensPorPagina);
+            const truncada = numeros.length > itensPorPagina;
+            return {
+                Parts: pagina.map((PartNumber) => {
+                    const { body, etag, lastModified } = uploads.get(UploadId).partes.get(PartNumber);
+                    return { PartNumber, ETag: etag, Size: body.length, LastModified: lastModified };
+                }),
+                IsTruncated: truncada,
+                ...(truncada && { NextPartNumberMarker: pagina.at(-1) }),
+            };
+        }),
+
+        //Mesmas validações do S3: ordem crescente, partes e ETags existentes e o tamanho mínimo das partes
+        completeMultipartUpload: ({ Bucket, Key, UploadId, MultipartUpload }) => requisicao(() => {
+            const { partes, contentType } = upload(Bucket, Key, UploadId);
+            const escolhidas = MultipartUpload?.Parts ?? [];
+            if (escolhidas.length === 0) throw erroS3('MalformedXML', 400);
+            escolhidas.forEach(({ PartNumber, ETag }, i) => {
+                if (i > 0 && PartNumber <= escolhidas[i - 1].PartNumber) throw erroS3('InvalidPartOrder', 400);
+                if (partes.get(PartNumber)?.etag !== ETag) throw erroS3('InvalidPart', 400);
+                if (i < escolhidas.length - 1 && partes.get(PartNumber).body.length < tamanhoMinimoDaParte) {
+                    throw erroS3('EntityTooSmall', 400);
+                }
+            });
+
+            const conteudo = Buffer.concat(escolhidas.map(({ PartNumber }) => partes.get(PartNumber).body));
+            gravar(Bucket, Key, { Body: conteudo, ContentType: contentType });
+            //ETag de objeto multipart: md5 das partes seguido do número de partes
+            const ETag = `"${md5(Buffer.concat(escolhidas.map(({ ETag: etag }) => Buffer.from(etag.slice(1, -1), 'hex'))))}-${escolhidas.length}"`;
+            dados.get(Bucket).objetos.get(Key).etag = ETag;
+            uploads.delete(UploadId);
+            return { Location: `https://s3.teste/${Bucket}/${encodeURI(Key)}`, Bucket, Key, ETag };
+        }),
+
+        abortMultipartUpload: ({ Bucket, Key, UploadId }) => requisicao(() => {
+            upload(Bucket, Key, UploadId);
+            uploads.delete(UploadId);
+            return {};
+        }),
+
+        listMultipartUploads: ({ Bucket, KeyMarker, UploadIdMarker }) => requisicao(() => {
+            bucket(Bucket);
+            const pendentes = [...uploads]
+                .filter(([, u]) => u.bucket === Bucket)
+                .map(([UploadId, u]) => ({ Key: u.key, UploadId, Initiated: u.iniciadoEm }))
+                .sort((a, b) => a.Key.localeCompare(b.Key) || a.UploadId.localeCompare(b.UploadId))
+                .filter(u => KeyMarker === undefined || u.Key > KeyMarker || (u.Key === KeyMarker && u.UploadId > UploadIdMarker));
+            const pagina = pendentes.slice(0, itensPorPagina);
+            const truncada = pendentes.length > itensPorPagina;
+            return {
+                Uploads: pagina,
+                IsTruncated: truncada,
+                ...(truncada && { NextKeyMarker: pagina.at(-1).Key, NextUploadIdMarker: pagina.at(-1).UploadId }),
+            };
+        }),
+
+        //Devolve as condições decodificáveis em fields.Policy, como na policy real (base64 de um JSON)
+        createPresignedPost: ({ Bucket, Fields = {}, Conditions = [], Expires }, cb) => {
+            const policy = { expiration: new Date(Date.now() + Expires * 1000).toISOString(), conditions: Conditions };
+            process.nextTick(cb, null, {
+                url: `https://s3.teste/${Bucket}`,
+                fields: { ...Fields, bucket: Bucket, Policy: Buffer.from(JSON.stringify(policy)).toString('base64') },
+            });
+        },
+
+        getSignedUrlPromise: async (operacao, { Bucket, Key, Expires }) => (
+            `https://s3.teste/${Bucket}/${encodeURI(Key)}?operacao=${operacao}&expira=${Expires}`
+        ),
+    };
+}
+//#endregion
+
+//#region CloudWatch Logs
+//Cliente CloudWatchLogs com os grupos em memória; exige o sequenceToken e a ordem cronológica dos eventos
+//como a API antiga. falhas é uma fila de erros devolvidos pelos próximos putLogEvents, antes de qualquer validação
+function criarCloudWatchEmMemoria({ grupos = {}, falhas = [] } = {}) {
+    const dados = new Map(Object.entries(grupos).map(([grupo, streams]) => [
+        grupo,
+        new Map(Object.entries(streams).map(([stream, eventos]) => [stream, { eventos: [...eventos], token: eventos.length > 0 ? `t${eventos.length}` : null }])),
+    ]));
+    const chamadas = [];
+    const erroCloudWatch = (code, message = code) => Object.assign(new Error(message), { code });
+    const resposta = (executar) => ({ promise: async () => executar() });
+
+    function stream(logGroupName, logStreamName) {
+        const encontrado = dados.get(logGroupName)?.get(logStreamName);
+        if (!encontrado) throw erroCloudWatch('ResourceNotFoundException', 'The specified log stream does not exist.');
+        return encontrado;
+    }
+
+    return {
+        grupos: dados,
+        chamadas,
+        falhas,
+
+        describeLogGroups: ({ logGroupNamePrefix = '' }) => resposta(() => ({
+            logGroups: [...dados.keys()].filter(nome => nome.startsWith(logGroupNamePrefix)).map(logGroupName => ({ logGroupName })),
+        })),
+
+        createLogGroup: ({ logGroupName }) => resposta(() => {
+            if (dados.has(logGroupName)) throw erroCloudWatch('ResourceAlreadyExistsException');
+            dados.set(logGroupName, new Map());
+            return {};
+        }),
+
+        describeLogStreams: ({ logGroupName, logStreamNamePrefix = '' }) => resposta(() => {
+            if (!dados.has(logGroupName)) throw erroCloudWatch('ResourceNotFoundException');
+            return {
+                logStreams: [...dados.get(logGroupName)]
+                    .filter(([nome]) => nome.startsWith(logStreamNamePrefix))
+                    .map(([logStreamName, { token }]) => ({ logStreamName, ...(token && { uploadSequenceToken: token }) })),
+            };
+        }),
+
+        createLogStream: ({ logGroupName, logStreamName }) => resposta(() => {
+            if (!dados.has(logGroupName)) throw erroCloudWatch('ResourceNotFoundException');
+            dados.get(logGroupName).set(logStreamName, { eventos: [], token: null });
+            return {};
+        }),
+
+        putLogEvents: (params) => resposta(() => {
+            chamadas.push(params);
+            if (falhas.length > 0) throw falhas.shift();
+
+            const { logGroupName, logStreamName, logEvents, sequenceToken = null } = params;
+            const destino = stream(logGroupName, logStreamName);
+            if (sequenceToken !== destino.token) {
+                throw erroCloudWatch('InvalidSequenceTokenException',
+                    `The given sequenceToken is invalid. The next expected sequenceToken is: ${destino.token}`);
+            }
+            if (logEvents.some((evento, i) => i > 0 && evento.timestamp < logEvents[i - 1].timestamp)) {
+                throw erroCloudWatch('InvalidParameterException', 'Log events in a single PutLogEvents request must be in chronological order.');
+            }
+
+            destino.eventos.push(...logEvents);
+            destino.token = `t${destino.eventos.length}`;
+            return { nextSequenceToken: destino.token };
+        }),
+    };
+}
+//#endregion
+
+module.exports = { criarMysqlEmMemoria, criarMongoEmMemoria, criarS3EmMemoria, criarCloudWatchEmMemoria };
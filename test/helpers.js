@@ -0,0 +1,78 @@
+//Ambiente dos testes, definido antes de carregar os módulos que leem a configuração.
+//Um arquivo de teste pode definir outros valores (ex. LOG_LEVEL) antes de importar este módulo.
+//Nenhum teste abre conexões: os clientes padrão abaixo só são criados, e os testes que chegam ao banco ou ao S3
+//passam os clientes em memória de fakes.js.
+const AMBIENTE = {
+    APP_ENV: 'test',
+    JWT_SECRET: 'segredo-dos-testes',
+    DB_HOST: '127.0.0.1',
+    DB_NAME: 'teste',
+    MONGO_URI: 'mongodb://127.0.0.1:1/teste',
+    REGION: 'us-east-1',
+    ACCESS_KEY_ID: 'teste',
+    SECRET_ACCESS_KEY: 'teste',
+    BUCKET_ALLOWLIST: 'uploads-teste',
+    LOG_TRANSPORTS: 'console',
+    LOG_LEVEL: 'error',
+    RATE_LIMIT_ENABLED: 'true',
+    RATE_LIMIT_MAX: '20',
+};
+for (const [nome, valor] of Object.entries(AMBIENTE)) {
+    process.env[nome] ??= valor;
+}
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const AWS = require('../aws');
+const { criarLogger } = require('../logger');
+const { criarStoreMemoria } = require('../rateLimit');
+
+//Pool do MySQL que falha se alguma rota chegar a consultar o banco sem um cliente em memória
+const poolFalso = {
+    query: async () => {
+        throw new Error('MySQL não disponível nos testes');
+    },
+    getConnection: async () => {
+        throw new Error('MySQL não disponível nos testes');
+    },
+};
+
+//Dependências do createApp e do criarRoteadores
+function criarDependencias() {
+    return {
+        mysql: { pool: poolFalso, database: 'teste' },
+        mongo: mongoose.createConnection(),
+        s3: new AWS.S3({ endpoint: 'http://127.0.0.1:1', s3ForcePathStyle: true, maxRetries: 0 }),
+        logger: criarLogger({ module: 'teste' }),
+    };
+}
+
+//App com um store de limites novo, para os testes não dividirem contadores; dependencias substitui os clientes padrão
+function criarAppDeTeste(dependencias = {}) {
+    const { createApp } = require('../app');
+    const store = criarStoreMemoria();
+    return { app: createApp({ ...criarDependencias(), ...dependencias, rateLimitStore: store }), store };
+}
+
+//Logger que guarda os registros em memória, no formato [nível, mensagem, extra]
+function criarLoggerEmMemoria() {
+    const registros = [];
+    const registrar = (level) => async (message, req, ...args) => {
+        registros.push([level, message, args.at(-1)]);
+    };
+    return {
+        registros,
+        debug: registrar('debug'),
+        info: registrar('info'),
+        warn: registrar('warn'),
+        error: registrar('error'),
+        child: () => criarLoggerEmMemoria(),
+    };
+}
+
+//Header Authorization com um token assinado com o JWT_SECRET dos testes
+function autorizacao(role, sub = 'usuario-teste') {
+    return `Bearer ${jwt.sign({ sub, role }, process.env.JWT_SECRET)}`;
+}
+
+module.exports = { criarDependencias, criarAppDeTeste, criarLoggerEmMemoria, autorizacao };
@@ -0,0 +1,39 @@
+//Registros no formato JSON e com o nível info, para ler a linha do access log como ela sai do processo
+process.env.LOG_LEVEL = 'info';
+process.env.LOG_FORMAT = 'json';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { criarAppDeTeste } = require('./helpers');
+
+describe('access log', () => {
+    let app;
+    let store;
+    let linhas;
+    const { log, error } = console;
+
+    before(() => {
+        ({ app, store } = criarAppDeTeste());
+        console.log = console.error = (linha) => linhas.push(linha);
+    });
+
+    after(() => {
+        Object.assign(console, { log, error });
+        store.parar();
+    });
+
+    it('registra o caminho sem a query string e mascara os campos pessoais da query', async () => {
+        linhas = [];
+        await request(app).get('/usuarios?name=Maria%20Silva&email=maria%40x.com&q=Maria&limit=5').expect(401);
+
+        //O aviso de manutenção do SDK da AWS também passa pelo console.error
+        const registro = linhas.filter(linha => linha.startsWith('{'))
+            .map(linha => JSON.parse(linha))
+            .find(r => r.method === 'GET');
+        assert.equal(registro.message, 'GET /usuarios 401');
+        assert.equal(registro.route, '/usuarios');
+        assert.deepEqual(registro.query, { name: '[REDACTED]', email: '[REDACTED]', q: '[REDACTED]', limit: '5' });
+        assert.doesNotMatch(linhas.join('\n'), /Maria|maria/);
+    });
+});
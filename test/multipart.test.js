@@ -0,0 +1,195 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { criarAppDeTeste, autorizacao } = require('./helpers');
+const { criarS3EmMemoria, criarMongoEmMemoria } = require('./fakes');
+const { criarServicoMultipart, limparUploadsAbandonados, iniciarLimpezaMultipart } = require('../multipart');
+
+//Partes pequenas nos testes: o S3 em memória exige 4 bytes nas partes que não são a última
+const opcoesS3 = { itensPorPagina: 2, tamanhoMinimoDaParte: 4 };
+const HORA = 60 * 60 * 1000;
+
+describe('serviço multipart', () => {
+    it('inicia, envia as partes, lista todas as páginas e conclui com as partes enviadas', async () => {
+        const s3 = criarS3EmMemoria({ 'uploads-teste': {} }, opcoesS3);
+        const multipart = criarServicoMultipart(s3);
+
+        const { uploadId, key } = await multipart.iniciar({ bucket: 'uploads-teste', key: 'video.mp4', contentType: 'video/mp4' });
+        const upload = { bucket: 'uploads-teste', key, uploadId };
+        //Fora de ordem: a conclusão ordena as partes pelo partNumber
+        for (const [partNumber, body] of [[3, 'fim'], [1, 'abcd'], [2, 'efgh']]) {
+            const parte = await multipart.enviarParte({ ...upload, partNumber, body: Buffer.from(body), contentLength: body.length });
+            assert.equal(parte.partNumber, partNumber);
+        }
+
+        const partes = await multipart.listarPartes(upload);
+        assert.deepEqual(partes.map(p => [p.partNumber, p.size]), [[1, 4], [2, 4], [3, 3]]);
+
+        const resultado = await multipart.concluir(upload);
+        assert.equal(resultado.key, 'video.mp4');
+        assert.match(resultado.etag, /-3"$/);
+
+        const objeto = s3.buckets.get('uploads-teste').objetos.get('video.mp4');
+        assert.equal(objeto.body.toString(), 'abcdefghfim');
+        assert.equal(objeto.contentType, 'video/mp4');
+        assert.equal(s3.uploads.size, 0);
+    });
+
+    it('conclui só com as partes informadas', async () => {
+        const s3 = criarS3EmMemoria({ 'uploads-teste': {} }, opcoesS3);
+        const multipart = criarServicoMultipart(s3);
+        const { uploadId } = await multipart.iniciar({ bucket: 'uploads-teste', key: 'a.bin' });
+        const upload = { bucket: 'uploads-teste', key: 'a.bin', uploadId };
+
+        const primeira = await multipart.enviarParte({ ...upload, partNumber: 1, body: Buffer.from('1111'), contentLength: 4 });
+        await multipart.enviarParte({ ...upload, partNumber: 2, body: Buffer.from('descartada'), contentLength: 10 });
+
+        await multipart.concluir({ ...upload, parts: [primeira] });
+        assert.equal(s3.buckets.get('uploads-teste').objetos.get('a.bin').body.toString(), '1111');
+    });
+
+    it('abortar descarta as partes e o upload deixa de existir', async () => {
+        const s3 = criarS3EmMemoria({ 'uploads-teste': {} }, opcoesS3);
+        const multipart = criarServicoMultipart(s3);
+        const { uploadId } = await multipart.iniciar({ bucket: 'uploads-teste', key: 'a.bin' });
+        const upload = { bucket: 'uploads-teste', key: 'a.bin', uploadId };
+        await multipart.enviarParte({ ...upload, partNumber: 1, body: Buffer.from('abcd'), contentLength: 4 });
+
+        await multipart.abortar(upload);
+        await assert.rejects(multipart.listarPartes(upload), { code: 'NoSuchUpload' });
+        assert.equal(s3.buckets.get('uploads-teste').objetos.has('a.bin'), false);
+    });
+});
+
+describe('limpeza de uploads multipart abandonados', () => {
+    //Cinco uploads em dois buckets, três iniciados há mais de um dia
+    async function criarUploads() {
+        const s3 = criarS3EmMemoria({ 'uploads-teste': {}, 'outro-bucket': {} }, opcoesS3);
+        const multipart = criarServicoMultipart(s3);
+        const iniciar = async (bucket, key, idadeMs) => {
+            const { uploadId } = await multipart.iniciar({ bucket, key });
+            s3.uploads.get(uploadId).iniciadoEm = new Date(Date.now() - idadeMs);
+            return { bucket, key, uploadId };
+        };
+        const antigos = [
+            await iniciar('uploads-teste', 'a.bin', 48 * HORA),
+            await iniciar('uploads-teste', 'c.bin', 25 * HORA),
+            await iniciar('outro-bucket', 'd.bin', 30 * HORA),
+        ];
+        const recentes = [
+            await iniciar('uploads-teste', 'b.bin', HORA),
+            await iniciar('uploads-teste', 'd.bin', 0),
+        ];
+        return { s3, antigos, recentes };
+    }
+
+    it('aborta só os uploads mais antigos que maxAgeMs, percorrendo as páginas de cada bucket', async () => {
+        const { s3, antigos, recentes } = await criarUploads();
+
+        const abortados = await limparUploadsAbandonados(s3, { buckets: ['uploads-teste', 'outro-bucket'], maxAgeMs: 24 * HORA });
+
+        assert.deepEqual(abortados, antigos);
+        assert.deepEqual([...s3.uploads.keys()].sort(), recentes.map(u => u.uploadId).sort());
+    });
+
+    it('a execução periódica devolve os abortados e engole os erros do S3', async () => {
+        const { s3, antigos } = await criarUploads();
+
+        const limpeza = iniciarLimpezaMultipart(s3, { buckets: ['uploads-teste'], maxAgeMs: 24 * HORA, intervalMs: HORA });
+        try {
+            assert.deepEqual(await limpeza.executar(), antigos.filter(u => u.bucket === 'uploads-teste'));
+            assert.deepEqual(await limpeza.executar(), []);
+        } finally {
+            limpeza.parar();
+        }
+
+        const comErro = iniciarLimpezaMultipart(s3, { buckets: ['inexistente'], maxAgeMs: 0, intervalMs: HORA });
+        try {
+            assert.deepEqual(await comErro.executar(), []);
+        } finally {
+            comErro.parar();
+        }
+    });
+});
+
+describe('rotas de multipart', () => {
+    let app;
+    let store;
+    let s3;
+    let mongo;
+
+    before(() => {
+        s3 = criarS3EmMemoria({ 'uploads-teste': {} }, opcoesS3);
+        mongo = criarMongoEmMemoria();
+        ({ app, store } = criarAppDeTeste({ s3, mongo }));
+    });
+
+    after(() => store.parar());
+
+    const editor = () => autorizacao('editor');
+
+    async function iniciar(key) {
+        const res = await request(app).post('/buckets/uploads-teste/multipart').set('Authorization', editor())
+            .send({ key, contentType: 'text/plain' }).expect(201);
+        return res.body.uploadId;
+    }
+
+    const enviarParte = (uploadId, key, partNumber, body) => request(app)
+        .put(`/buckets/uploads-teste/multipart/${uploadId}/parts/${partNumber}`)
+        .query({ key })
+        .set('Authorization', editor())
+        .set('Content-Type', 'application/octet-stream')
+        .send(Buffer.from(body));
+
+    it('envia as partes pelo servidor, conclui o objeto e o registra no catálogo', async () => {
+        const uploadId = await iniciar('notas.txt');
+        const { body: parte } = await enviarParte(uploadId, 'notas.txt', 1, 'primeira ').expect(200);
+        assert.equal(parte.partNumber, 1);
+        await enviarParte(uploadId, 'notas.txt', 2, 'segunda').expect(200);
+
+        const partes = await request(app).get(`/buckets/uploads-teste/multipart/${uploadId}/parts`)
+            .query({ key: 'notas.txt' }).set('Authorization', editor()).expect(200);
+        assert.deepEqual(partes.body.map(p => p.size), [9, 7]);
+
+        const concluido = await request(app).post(`/buckets/uploads-teste/multipart/${uploadId}/complete`)
+            .set('Authorization', editor()).send({ key: 'notas.txt' }).expect(200);
+        assert.equal(concluido.body.key, 'notas.txt');
+
+        const registro = await mongo.models.File.findOne({ bucket: 'uploads-teste', key: 'notas.txt' }).lean();
+        assert.equal(String(registro._id), concluido.body.id);
+        assert.equal(registro.size, 16);
+        assert.equal(registro.contentType, 'text/plain');
+        assert.equal(registro.etag, concluido.body.etag);
+        assert.equal(registro.uploadedBy, 'usuario-teste');
+
+        const arquivo = await request(app).get('/buckets/uploads-teste/file/notas.txt')
+            .set('Authorization', autorizacao('reader')).buffer(true).expect(200);
+        assert.equal(arquivo.text, 'primeira segunda');
+    });
+
+    it('partes rejeitadas pelo S3 respondem 400', async () => {
+        const uploadId = await iniciar('pequeno.txt');
+        const { body: primeira } = await enviarParte(uploadId, 'pequeno.txt', 1, 'ab').expect(200);
+        const { body: segunda } = await enviarParte(uploadId, 'pequeno.txt', 2, 'cd').expect(200);
+
+        const pequena = await request(app).post(`/buckets/uploads-teste/multipart/${uploadId}/complete`)
+            .set('Authorization', editor()).send({ key: 'pequeno.txt', parts: [primeira, segunda] }).expect(400);
+        assert.equal(pequena.body.code, 'BAD_REQUEST');
+        assert.equal(pequena.body.error, 'Todas as partes, exceto a última, devem ter no mínimo 5 MB');
+
+        const etagErrado = await request(app).post(`/buckets/uploads-teste/multipart/${uploadId}/complete`)
+            .set('Authorization', editor()).send({ key: 'pequeno.txt', parts: [{ partNumber: 2, etag: '"0"' }] }).expect(400);
+        assert.equal(etagErrado.body.code, 'BAD_REQUEST');
+    });
+
+    it('aborta o upload, que depois responde 404', async () => {
+        const uploadId = await iniciar('abortado.txt');
+        await enviarParte(uploadId, 'abortado.txt', 1, 'abcd').expect(200);
+
+        await request(app).delete(`/buckets/uploads-teste/multipart/${uploadId}`)
+            .query({ key: 'abortado.txt' }).set('Authorization', editor()).expect(200);
+        const res = await request(app).get(`/buckets/uploads-teste/multipart/${uploadId}/parts`)
+            .query({ key: 'abortado.txt' }).set('Authorization', editor()).expect(404);
+        assert.equal(res.body.code, 'NOT_FOUND');
+    });
+});
@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { criarDependencias } = require('./helpers');
+const { criarRoteadores } = require('../app');
+const { swaggerSpec } = require('../swagger');
+const { listarRotas, verificarEspecificacao } = require('../openapi');
+
+describe('especificação OpenAPI', () => {
+    it('está alinhada com as rotas montadas pelo criarRoteadores', () => {
+        const rotas = listarRotas(criarRoteadores(criarDependencias()));
+        assert.ok(rotas.length > 0);
+        assert.deepEqual(verificarEspecificacao(swaggerSpec, rotas), []);
+    });
+
+    it('aponta as rotas sem documentação', () => {
+        const rotas = [
+            ...listarRotas(criarRoteadores(criarDependencias())),
+            { metodo: 'get', caminho: '/inexistente', autenticada: false },
+        ];
+        const paths = { ...swaggerSpec.paths };
+        delete paths['/health'];
+
+        assert.deepEqual(verificarEspecificacao({ ...swaggerSpec, paths }, rotas), [
+            'GET /health: rota sem documentação',
+            'GET /inexistente: rota sem documentação',
+        ]);
+    });
+});
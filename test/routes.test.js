@@ -0,0 +1,167 @@
+//Os casos fazem mais requisições que o RATE_LIMIT_MAX dos testes; o limite tem seus testes em app.test.js
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { criarAppDeTeste, autorizacao } = require('./helpers');
+const { criarMysqlEmMemoria, criarMongoEmMemoria, criarS3EmMemoria } = require('./fakes');
+
+//Caminho feliz das rotas com MySQL, MongoDB e S3 em memória
+describe('rotas com os clientes em memória', () => {
+    let app;
+    let store;
+    let pool;
+    let mongo;
+    let s3;
+
+    before(() => {
+        pool = criarMysqlEmMemoria();
+        mongo = criarMongoEmMemoria();
+        s3 = criarS3EmMemoria({
+            'uploads-teste': {
+                'leia-me.txt': { Body: 'conteúdo de teste', ContentType: 'text/plain' },
+                'docs/a.pdf': { Body: '%PDF-1.4', ContentType: 'application/pdf' },
+                'docs/b.pdf': { Body: '%PDF-1.7', ContentType: 'application/pdf' },
+            },
+            'outro-bucket': {},
+        });
+        ({ app, store } = criarAppDeTeste({ mysql: { pool, database: 'teste' }, mongo, s3 }));
+    });
+
+    after(() => store.parar());
+
+    describe('/product', () => {
+        it('cria, lista, busca, atualiza e remove um produto', async () => {
+            const editor = autorizacao('editor');
+            for (const [name, price] of [['Caneca', 25], ['Camiseta', 60], ['Boné', 40]]) {
+                await request(app).post('/product').set('Authorization', editor)
+                    .send({ name, description: `${name} da loja`, price }).expect(201);
+            }
+
+            const lista = await request(app).get('/product?name=ca&sort=price:desc&limit=1')
+                .set('Authorization', autorizacao('reader')).expect(200);
+            assert.equal(lista.body.total, 2);
+            assert.equal(lista.body.totalPages, 2);
+            assert.deepEqual(lista.body.data.map(p => p.name), ['Camiseta']);
+
+            const { id } = pool.tabelas.product.find(p => p.name === 'Caneca');
+            const produto = await request(app).get(`/product/${id}`).set('Authorization', autorizacao('reader')).expect(200);
+            assert.equal(produto.body.price, 25);
+            assert.deepEqual(produto.body.images, []);
+
+            const atualizado = await request(app).put(`/product/${id}`).set('Authorization', editor)
+                .send({ name: 'Caneca grande', description: 'Caneca de 500 ml', price: 30 }).expect(201);
+            assert.equal(atualizado.body.affectedRows, 1);
+
+            await request(app).delete(`/product/${id}`).set('Authorization', autorizacao('admin')).expect(200);
+            await request(app).get(`/product/${id}`).set('Authorization', autorizacao('reader')).expect(404);
+        });
+    });
+
+    describe('/usuarios', () => {
+        it('cria, lista, busca, atualiza, remove e restaura um usuário', async () => {
+            const criado = await request(app).post('/usuarios').set('Authorization', autorizacao('editor'))
+                .send({ name: 'Maria Souza', email: 'Maria@Exemplo.com' }).expect(201);
+            assert.equal(criado.body.email, 'maria@exemplo.com');
+            const id = criado.body._id;
+
+            await request(app).post('/usuarios').set('Authorization', autorizacao('editor'))
+                .send({ name: 'João Lima', email: 'joao@exemplo.com' }).expect(201);
+
+            const lista = await request(app).get('/usuarios?q=maria').set('Authorization', autorizacao('reader')).expect(200);
+            assert.equal(lista.body.total, 1);
+            assert.equal(lista.body.data[0]._id, id);
+
+            const atualizado = await request(app).put(`/usuarios/${id}`).set('Authorization', autorizacao('editor'))
+                .send({ name: 'Maria S. Souza' }).expect(200);
+            assert.equal(atualizado.body.name, 'Maria S. Souza');
+
+            await request(app).delete(`/usuarios/${id}`).set('Authorization', autorizacao('admin')).expect(200);
+            await request(app).get(`/usuarios/${id}`).set('Authorization', autorizacao('reader')).expect(404);
+
+            await request(app).post(`/usuarios/${id}/restore`).set('Authorization', autorizacao('admin')).expect(200);
+            const restaurado = await request(app).get(`/usuarios/${id}`).set('Authorization', autorizacao('reader')).expect(200);
+            assert.equal(restaurado.body.deletedAt, null);
+        });
+
+        it('email repetido responde 409 e id inválido responde 400', async () => {
+            await request(app).post('/usuarios').set('Authorization', autorizacao('editor'))
+                .send({ name: 'Ana', email: 'ana@exemplo.com' }).expect(201);
+            const repetido = await request(app).post('/usuarios').set('Authorization', autorizacao('editor'))
+                .send({ name: 'Outra Ana', email: 'ANA@exemplo.com' }).expect(409);
+            assert.deepEqual(repetido.body.details, [{ field: 'email', message: 'já está em uso' }]);
+
+            const invalido = await request(app).get('/usuarios/nao-e-um-id').set('Authorization', autorizacao('reader')).expect(400);
+            assert.equal(invalido.body.code, 'VALIDATION_ERROR');
+        });
+    });
+
+    describe('/buckets', () => {
+        it('lista só os buckets permitidos', async () => {
+            const res = await request(app).get('/buckets').set('Authorization', autorizacao('reader')).expect(200);
+            assert.deepEqual(res.body.map(b => b.Name), ['uploads-teste']);
+        });
+
+        it('lista os objetos e as pastas do nível', async () => {
+            const res = await request(app).get('/buckets/uploads-teste?delimiter=/')
+                .set('Authorization', autorizacao('reader')).expect(200);
+            assert.deepEqual(res.body.objects.map(o => o.key), ['leia-me.txt']);
+            assert.deepEqual(res.body.prefixes, ['docs/']);
+            assert.equal(res.body.isTruncated, false);
+        });
+
+        it('devolve os metadados e baixa o objeto inteiro ou um intervalo', async () => {
+            const metadados = await request(app).head('/buckets/uploads-teste/file/docs/a.pdf')
+                .set('Authorization', autorizacao('reader')).expect(200);
+            assert.equal(metadados.get('Content-Type'), 'application/pdf');
+            assert.equal(metadados.get('Content-Length'), '8');
+
+            const arquivo = await request(app).get('/buckets/uploads-teste/file/leia-me.txt')
+                .set('Authorization', autorizacao('reader')).buffer(true).expect(200);
+            assert.equal(arquivo.text, 'conteúdo de teste');
+
+            const intervalo = await request(app).get('/buckets/uploads-teste/file/docs/a.pdf')
+                .set('Authorization', autorizacao('reader')).set('Range', 'bytes=0-3').buffer(true).expect(206);
+            assert.equal(intervalo.get('Content-Range'), 'bytes 0-3/8');
+            assert.equal(intervalo.body.toString(), '%PDF');
+        });
+
+        it('recusa a URL de PUT e limita o tamanho na POST policy', async () => {
+            const put = await request(app).post('/buckets/uploads-teste/presign/upload')
+                .set('Authorization', autorizacao('editor')).send({ key: 'grande.bin' }).expect(400);
+            assert.match(put.body.error, /presign\/post/);
+
+            const post = await request(app).post('/buckets/uploads-teste/presign/post')
+                .set('Authorization', autorizacao('editor')).send({ key: 'grande.bin', maxSize: 5 * 1024 * 1024 * 1024 }).expect(200);
+            const { conditions } = JSON.parse(Buffer.from(post.body.fields.Policy, 'base64').toString());
+            assert.deepEqual(conditions.at(-1), ['content-length-range', 0, Number(process.env.UPLOAD_MAX_BYTES ?? 50 * 1024 * 1024)]);
+        });
+
+        it('responde 304 quando o objeto não mudou e ignora If-Modified-Since inválido', async () => {
+            const metadados = await request(app).head('/buckets/uploads-teste/file/leia-me.txt')
+                .set('Authorization', autorizacao('reader')).expect(200);
+
+            await request(app).get('/buckets/uploads-teste/file/leia-me.txt').set('Authorization', autorizacao('reader'))
+                .set('If-Modified-Since', metadados.get('Last-Modified')).expect(304);
+            await request(app).get('/buckets/uploads-teste/file/leia-me.txt').set('Authorization', autorizacao('reader'))
+                .set('If-None-Match', metadados.get('ETag')).expect(304);
+
+            const res = await request(app).get('/buckets/uploads-teste/file/leia-me.txt').set('Authorization', autorizacao('reader'))
+                .set('If-Modified-Since', 'ontem').buffer(true).expect(200);
+            assert.equal(res.text, 'conteúdo de teste');
+        });
+
+        it('remove o objeto do bucket e do catálogo', async () => {
+            await mongo.models.File.create({ bucket: 'uploads-teste', key: 'docs/b.pdf', size: 8 });
+
+            await request(app).delete('/buckets/uploads-teste/file/docs/b.pdf')
+                .set('Authorization', autorizacao('admin')).expect(200);
+            assert.equal(s3.buckets.get('uploads-teste').objetos.has('docs/b.pdf'), false);
+            assert.equal(await mongo.models.File.countDocuments({ key: 'docs/b.pdf' }), 0);
+
+            await request(app).head('/buckets/uploads-teste/file/docs/b.pdf')
+                .set('Authorization', autorizacao('reader')).expect(404);
+        });
+    });
+});
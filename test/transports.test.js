@@ -0,0 +1,181 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+//Ambiente dos testes, antes de o transports.js carregar a configuração do SDK
+require('./helpers');
+const { criarFilaLogs, criarClienteCloudWatch } = require('../transports');
+const { criarCloudWatchEmMemoria } = require('./fakes');
+
+const GRUPO = '/api/teste';
+const STREAM = 'instancia-1';
+
+//Fila sobre o CloudWatch em memória; sem envio por tempo, a não ser que flushIntervalMs seja informado
+function criarFila(cloudwatch, opcoes = {}) {
+    return criarFilaLogs({
+        client: criarClienteCloudWatch(cloudwatch, GRUPO, STREAM),
+        flushIntervalMs: 60 * 1000,
+        retryBaseMs: 1,
+        ...opcoes,
+    });
+}
+
+const erro = (code, message = code, extra = {}) => Object.assign(new Error(message), { code, ...extra });
+const enviados = (cloudwatch) => cloudwatch.grupos.get(GRUPO)?.get(STREAM)?.eventos;
+
+//Espera a condição ficar verdadeira, verificando a cada poucos milissegundos
+async function aguardar(condicao, timeoutMs = 2000) {
+    const limite = Date.now() + timeoutMs;
+    while (!condicao()) {
+        if (Date.now() > limite) throw new Error('Condição não atingida a tempo');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+describe('fila de logs do CloudWatch', () => {
+    //Os lotes descartados e as falhas de setup são escritos no console.error
+    beforeEach((t) => t.mock.method(console, 'error', () => {}));
+
+    it('cria o grupo e o stream e envia os eventos em ordem cronológica', async () => {
+        const cloudwatch = criarCloudWatchEmMemoria();
+        const fila = criarFila(cloudwatch);
+
+        fila.enqueue({ level: 'info', message: 'segundo' }, 2000);
+        fila.enqueue('primeiro', 1000);
+        fila.enqueue('terceiro', 3000);
+        assert.equal(fila.pending(), 3);
+        await fila.flush();
+
+        assert.deepEqual(enviados(cloudwatch), [
+            { message: 'primeiro', timestamp: 1000 },
+            { message: '{"level":"info","message":"segundo"}', timestamp: 2000 },
+            { message: 'terceiro', timestamp: 3000 },
+        ]);
+        assert.equal(cloudwatch.chamadas.length, 1);
+        assert.equal(fila.pending(), 0);
+        assert.ok(fila.estado().lastSuccessAt);
+    });
+
+    it('divide os lotes pela quantidade e pelos bytes, repassando o sequenceToken entre eles', async () => {
+        const cloudwatch = criarCloudWatchEmMemoria({ grupos: { [GRUPO]: { [STREAM]: [] } } });
+        //26 bytes de overhead + 4 da mensagem: cabem dois eventos em 60 bytes
+        const fila = criarFila(cloudwatch, { maxBatchCount: 3, maxBatchBytes: 60 });
+
+        for (let i = 0; i < 5; i++) fila.enqueue(`ev-${i}`.padEnd(4), 1000 + i);
+        await fila.flush();
+
+        assert.deepEqual(cloudwatch.chamadas.map(c => c.logEvents.length), [2, 2, 1]);
+        assert.deepEqual(cloudwatch.chamadas.map(c => c.sequenceToken), [undefined, 't2', 't4']);
+        assert.deepEqual(enviados(cloudwatch).map(e => e.timestamp), [1000, 1001, 1002, 1003, 1004]);
+    });
+
+    it('envia sozinha ao atingir maxBatchCount e depois de flushIntervalMs', async () => {
+        const cloudwatch = criarCloudWatchEmMemoria();
+        const fila = criarFila(cloudwatch, { maxBatchCount: 2, flushIntervalMs: 10 });
+
+        fila.enqueue('a', 1);
+        fila.enqueue('b', 2);
+        fila.enqueue('c', 3);
+        await aguardar(() => enviados(cloudwatch)?.length === 3);
+        assert.deepEqual(cloudwatch.chamadas.map(c => c.logEvents.length), [2, 1]);
+    });
+
+    it('continua do uploadSequenceToken de um stream existente', async () => {
+        const cloudwatch = criarCloudWatchEmMemoria({ grupos: { [GRUPO]: { [STREAM]: [{ message: 'antigo', timestamp: 1 }] } } });
+        const fila = criarFila(cloudwatch);
+
+        fila.enqueue('novo', 2);
+        await fila.flush();
+
+        assert.equal(cloudwatch.chamadas[0].sequenceToken, 't1');
+        assert.deepEqual(enviados(cloudwatch).map(e => e.message), ['antigo', 'novo']);
+    });
+
+    it('com InvalidSequenceTokenException, reenvia com o token da mensagem de erro', async () => {
+        const cloudwatch = criarCloudWatchEmMemoria({ grupos: { [GRUPO]: { [STREAM]: [] } } });
+        const fila = criarFila(cloudwatch);
+        await fila.flush();
+        //Outro processo escreveu no mesmo stream depois do setup
+        enviados(cloudwatch).push({ message: 'de outro processo', timestamp: 1 });
+        cloudwatch.grupos.get(GRUPO).get(STREAM).token = 't1';
+
+        fila.enqueue('nosso', 2);
+        await fila.flush();
+
+        assert.deepEqual(cloudwatch.chamadas.map(c => c.sequenceToken), [undefined, 't1']);
+        assert.deepEqual(enviados(cloudwatch).map(e => e.message), ['de outro processo', 'nosso']);
+        assert.equal(fila.estado().droppedBatches, 0);
+    });
+
+    it('tenta de novo os erros temporários e não reenvia um lote já aceito', async () => {
+        const cloudwatch = criarCloudWatchEmMemoria({
+            falhas: [
+                erro('ThrottlingException'),
+                erro('NetworkingError', 'socket hang up', { retryable: true }),
+            ],
+        });
+        const fila = criarFila(cloudwatch);
+
+        fila.enqueue('depois de duas falhas', 1);
+        await fila.flush();
+        assert.equal(cloudwatch.chamadas.length, 3);
+        assert.equal(enviados(cloudwatch).length, 1);
+
+        //O lote chegou numa tentativa anterior cuja resposta se perdeu
+        const stream = cloudwatch.grupos.get(GRUPO).get(STREAM);
+        stream.eventos.push({ message: 'já aceito', timestamp: 2 });
+        stream.token = 't2';
+        cloudwatch.falhas.push(erro('DataAlreadyAcceptedException', 'The given batch of log events has already been accepted. The next batch can be sent with sequenceToken: t2'));
+        fila.enqueue('já aceito', 2);
+        await fila.flush();
+        fila.enqueue('seguinte', 3);
+        await fila.flush();
+
+        assert.equal(cloudwatch.chamadas.length, 5);
+        assert.equal(cloudwatch.chamadas.at(-1).sequenceToken, 't2');
+        assert.deepEqual(enviados(cloudwatch).map(e => e.message), ['depois de duas falhas', 'já aceito', 'seguinte']);
+        assert.equal(fila.estado().droppedBatches, 0);
+    });
+
+    it('descarta o lote depois de maxRetries ou com erro definitivo e registra no estado', async () => {
+        const cloudwatch = criarCloudWatchEmMemoria({
+            falhas: [erro('ThrottlingException'), erro('ThrottlingException'), erro('ThrottlingException')],
+        });
+        const fila = criarFila(cloudwatch, { maxRetries: 2 });
+
+        fila.enqueue('perdido', 1);
+        await fila.flush();
+        assert.equal(cloudwatch.chamadas.length, 3);
+        assert.equal(fila.estado().droppedBatches, 1);
+        assert.equal(fila.estado().lastError.code, 'ThrottlingException');
+
+        cloudwatch.falhas.push(erro('InvalidParameterException'));
+        fila.enqueue('inválido', 2);
+        await fila.flush();
+        assert.equal(cloudwatch.chamadas.length, 4);
+        assert.equal(fila.estado().droppedBatches, 2);
+
+        fila.enqueue('entregue', 3);
+        await fila.flush();
+        assert.deepEqual(enviados(cloudwatch).map(e => e.message), ['entregue']);
+    });
+
+    it('expõe a falha do setup no estado', async () => {
+        const cloudwatch = criarCloudWatchEmMemoria();
+        cloudwatch.describeLogGroups = () => ({ promise: async () => { throw erro('AccessDeniedException'); } });
+        const fila = criarFila(cloudwatch);
+
+        await fila.flush();
+        assert.equal(fila.estado().setupError.code, 'AccessDeniedException');
+    });
+
+    it('corta eventos acima de 256 KB sem partir caracteres multibyte', async () => {
+        const cloudwatch = criarCloudWatchEmMemoria();
+        const fila = criarFila(cloudwatch);
+
+        fila.enqueue('é'.repeat(200 * 1024), 1);
+        await fila.flush();
+
+        const [{ message }] = enviados(cloudwatch);
+        assert.ok(Buffer.byteLength(message) <= 256 * 1024 - 26);
+        assert.match(message, /^é+$/);
+    });
+});
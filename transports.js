@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const AWS = require('./aws');
+
+//#region CloudWatch
+//endpoint (CLOUDWATCH_ENDPOINT) permite apontar para um CloudWatch falso/local em testes
+const criarSdkCloudWatch = (endpoint) => new AWS.CloudWatchLogs(endpoint ? { endpoint } : {});
+
+//Limites do putLogEvents: 10.000 eventos e 1 MiB por lote, contando 26 bytes extras por evento
+const EVENT_OVERHEAD_BYTES = 26;
+const MAX_EVENT_BYTES = 256 * 1024 - EVENT_OVERHEAD_BYTES;
+const RETRYABLE_ERRORS = ['InvalidSequenceTokenException', 'ThrottlingException', 'ServiceUnavailableException'];
+
+//Garante que grupo e stream existem e retorna o sequenceToken atual
+async function ensureCloudWatchSetup(client, logGroupName, logStreamName) {
+    const groups = await client.describeLogGroups({ logGroupNamePrefix: logGroupName }).promise();
+    if (!groups.logGroups.find(g => g.logGroupName === logGroupName)) {
+        await client.createLogGroup({ logGroupName }).promise();
+    }
+
+    const streams = await client.describeLogStreams({
+        logGroupName,
+        logStreamNamePrefix: logStreamName,
+    }).promise();
+
+    const stream = streams.logStreams.find(s => s.logStreamName === logStreamName);
+    if (!stream) {
+        await client.createLogStream({ logGroupName, logStreamName }).promise();
+        return null;
+    }
+    return stream.uploadSequenceToken ?? null;
+}
+
+//Cliente padrão da fila: envia os lotes para o CloudWatch Logs pelo SDK
+function criarClienteCloudWatch(client, logGroupName, logStreamName) {
+    return {
+        setup: () => ensureCloudWatchSetup(client, logGroupName, logStreamName),
+        async putLogEvents({ logEvents, sequenceToken }) {
+            const params = { logEvents, logGroupName, logStreamName };
+            if (sequenceToken) params.sequenceToken = sequenceToken;
+            const response = await client.putLogEvents(params).promise();
+            return response.nextSequenceToken ?? null;
+        },
+    };
+}
+
+//Extrai o token esperado da mensagem de InvalidSequenceTokenException
+function tokenEsperado(err) {
+    const match = /sequenceToken(?: is)?: (\S+)/.exec(err.message || '');
+    if (!match) return undefined;
+    return match[1] === 'null' ? null : match[1];
+}
+
+//Corta o texto em até maxBytes sem partir um caractere multibyte: se o primeiro byte descartado
+//é de continuação (10xxxxxx), recua até o início do caractere
+function truncarUtf8(texto, maxBytes) {
+    const buffer = Buffer.from(texto, 'utf8');
+    let fim = maxBytes;
+    while (fim > 0 && (buffer[fim] & 0xC0) === 0x80) fim--;
+    return buffer.subarray(0, fim).toString('utf8');
+}
+
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+//Fila em memória que agrupa os logs em lotes por quantidade, tamanho e janela de tempo.
+//Apenas um envio acontece por vez, então o sequenceToken nunca é disputado.
+function criarFilaLogs({
+    client,
+    maxBatchCount = 10000,
+    maxBatchBytes = 1024 * 1024,
+    flushIntervalMs = 2000,
+    maxRetries = 5,
+    retryBaseMs = 200,
+} = {}) {
+    let fila = [];
+    let bytesNaFila = 0;
+    let sequenceToken = null;
+    let timer = null;
+    let envio = Promise.resolve();
+    //Situação dos envios, exposta pelo /ready
+    const situacao = { setupError: null, lastSuccessAt: null, lastError: null, droppedBatches: 0 };
+    const resumoErro = (err) => ({ code: err.code, message: err.message, at: new Date().toISOString() });
+
+    const pronto = Promise.resolve()
+        .then(() => client.setup?.())
+        .then(token => { sequenceToken = token ?? null; })
+        .catch(err => {
+            situacao.setupError = resumoErro(err);
+            console.error('Erro ao configurar CloudWatch:', err);
+        });
+
+    async function enviarLote(logEvents) {
+        for (let tentativa = 0; ; tentativa++) {
+            try {
+                sequenceToken = await client.putLogEvents({ logEvents, sequenceToken });
+                situacao.lastSuccessAt = new Date().toISOString();
+                return;
+            } catch (err) {
+                if (err.code === 'DataAlreadyAcceptedException') {
+                    sequenceToken = tokenEsperado(err) ?? sequenceToken;
+                    return;
+                }
+                if (!(RETRYABLE_ERRORS.includes(err.code) || err.retryable) || tentativa >= maxRetries) {
+                    situacao.lastError = resumoErro(err);
+                    situacao.droppedBatches++;
+                    console.error(`Erro ao enviar ${logEvents.length} log(s), lote descartado:`, err);
+                    return;
+                }
+                if (err.code === 'InvalidSequenceTokenException') {
+                    const token = tokenEsperado(err);
+                    if (token !== undefined) sequenceToken = token;
+                }
+                await esperar(retryBaseMs * 2 ** tentativa + Math.random() * retryBaseMs);
+            }
+        }
+    }
+
+    //Retira da fila o maior lote possível, respeitando os limites de quantidade e bytes
+    function proximoLote() {
+        fila.sort((a, b) => a.timestamp - b.timestamp);
+        let bytes = 0;
+        let count = 0;
+        while (count < fila.length && count < maxBatchCount) {
+            const tamanho = fila[count].bytes;
+            if (count > 0 && bytes + tamanho > maxBatchBytes) break;
+            bytes += tamanho;
+            count++;
+        }
+        const lote = fila.splice(0, count);
+        bytesNaFila -= bytes;
+        return lote.map(({ message, timestamp }) => ({ message, timestamp }));
+    }
+
+    function agendar() {
+        if (timer) return;
+        timer = setTimeout(flush, flushIntervalMs);
+        timer.unref?.();
+    }
+
+    //Envia tudo o que está na fila; resolve quando os lotes terminarem
+    function flush() {
+        clearTimeout(timer);
+        timer = null;
+        envio = envio.then(async () => {
+            await pronto;
+            while (fila.length > 0) {
+                await enviarLote(proximoLote());
+            }
+        });
+        return envio;
+    }
+
+    function enqueue(message, timestamp = Date.now()) {
+        let texto = typeof message === 'string' ? message : JSON.stringify(message);
+        if (Buffer.byteLength(texto, 'utf8') > MAX_EVENT_BYTES) {
+            texto = truncarUtf8(texto, MAX_EVENT_BYTES);
+        }
+        const bytes = Buffer.byteLength(texto, 'utf8') + EVENT_OVERHEAD_BYTES;
+        fila.push({ message: texto, timestamp, bytes });
+        bytesNaFila += bytes;
+
+        if (fila.length >= maxBatchCount || bytesNaFila >= maxBatchBytes) {
+            flush();
+        } else {
+            agendar();
+        }
+    }
+
+    return {
+        enqueue,
+        flush,
+        pending: () => fila.length,
+        estado: () => ({ pending: fila.length, ...situacao }),
+    };
+}
+
+//Transporte que agrupa os logs na fila e envia em lotes ao Log Group/Stream do CloudWatch
+function transporteCloudWatch({ logGroupName, logStreamName, endpoint, ...options }) {
+    const fila = criarFilaLogs({
+        client: criarClienteCloudWatch(criarSdkCloudWatch(endpoint), logGroupName, logStreamName),
+        ...options,
+    });
+    return {
+        name: 'cloudwatch',
+        log: (record, timestamp) => fila.enqueue(record, timestamp),
+        flush: () => fila.flush(),
+        estado: () => fila.estado(),
+    };
+}
+//#endregion
+
+//#region Console
+const CORES = { debug: '\x1b[90m', info: '\x1b[36m', warn: '\x1b[33m', error: '\x1b[31m' };
+const RESET = '\x1b[0m';
+
+//Formato "pretty" para desenvolvimento local ou uma linha JSON por log
+function transporteConsole({ format = 'pretty' } = {}) {
+    return {
+        name: 'console',
+        log(record, timestamp) {
+            const write = record.level === 'error' || record.level === 'warn' ? console.error : console.log;
+            if (format === 'json') {
+                return write(JSON.stringify({ timestamp: new Date(timestamp).toISOString(), ...record }));
+            }
+
+            const { level, message, route, ...extra } = record;
+            const cor = process.stdout.isTTY ? CORES[level] ?? '' : '';
+            const campos = Object.keys(extra).length > 0 ? ' ' + JSON.stringify(extra) : '';
+            write(`${new Date(timestamp).toISOString()} ${cor}${level.toUpperCase().padEnd(5)}${cor && RESET} ${message}${route ? ` (${route})` : ''}${campos}`);
+        },
+    };
+}
+//#endregion
+
+//#region Arquivo
+//Grava uma linha JSON por log e rotaciona o arquivo ao atingir maxBytes:
+//app.log -> app.log.1 -> app.log.2 ... mantendo no máximo maxFiles arquivos antigos.
+//A escrita é síncrona para que a rotação nunca concorra com gravações pendentes.
+function transporteArquivo({ file, maxBytes = 10 * 1024 * 1024, maxFiles = 5 }) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    let fd = fs.openSync(file, 'a');
+    let tamanho = fs.fstatSync(fd).size;
+
+    function rotacionar() {
+        fs.closeSync(fd);
+        fs.rmSync(`${file}.${maxFiles}`, { force: true });
+        for (let i = maxFiles - 1; i >= 1; i--) {
+            if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+        }
+        if (maxFiles > 0) {
+            fs.renameSync(file, `${file}.1`);
+        } else {
+            fs.unlinkSync(file);
+        }
+        fd = fs.openSync(file, 'a');
+        tamanho = 0;
+    }
+
+    return {
+        name: 'file',
+        estado: () => ({ file, size: tamanho }),
+        log(record, timestamp) {
+            const linha = JSON.stringify({ timestamp: new Date(timestamp).toISOString(), ...record }) + '\n';
+            const bytes = Buffer.byteLength(linha, 'utf8');
+            if (tamanho > 0 && tamanho + bytes > maxBytes) rotacionar();
+            fs.writeSync(fd, linha);
+            tamanho += bytes;
+        },
+    };
+}
+//#endregion
+
+module.exports = {
+    transporteConsole,
+    transporteArquivo,
+    transporteCloudWatch,
+    criarFilaLogs,
+    criarClienteCloudWatch,
+};
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Transform } = require('stream');
+const { AppError, ValidationError } = require('./errors');
+const { config } = require('./config');
+
+//Política padrão de upload, aplicada a todos os buckets:
+//UPLOAD_ALLOWED_TYPES e UPLOAD_ALLOWED_EXTENSIONS (listas separadas por vírgula; vazias = qualquer tipo conhecido),
+//UPLOAD_MAX_BYTES, UPLOAD_KEY_LAYOUT (timestamp | uuid | date), UPLOAD_KEY_PREFIX e UPLOAD_DISPOSITION (attachment | inline).
+//UPLOAD_POLICIES sobrescreve campos por bucket, ex. {"fotos-hml":{"allowedTypes":["image/png"],"maxBytes":5242880}}
+const KEY_LAYOUTS = ['timestamp', 'uuid', 'date'];
+const DISPOSITIONS = ['attachment', 'inline'];
+const MAX_FILENAME_LENGTH = 100;
+
+//Tipos reconhecidos pelos primeiros bytes do arquivo (magic bytes)
+const ASSINATURAS = [
+    { mime: 'image/jpeg', extensions: ['jpg', 'jpeg'], bytes: [0xFF, 0xD8, 0xFF] },
+    { mime: 'image/png', extensions: ['png'], bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { mime: 'image/gif', extensions: ['gif'], bytes: [0x47, 0x49, 0x46, 0x38] },
+    { mime: 'image/webp', extensions: ['webp'], bytes: [0x52, 0x49, 0x46, 0x46], extra: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } },
+    { mime: 'application/pdf', extensions: ['pdf'], bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] },
+    { mime: 'application/gzip', extensions: ['gz', 'tgz'], bytes: [0x1F, 0x8B] },
+    { mime: 'video/mp4', extensions: ['mp4', 'm4v'], bytes: [0x66, 0x74, 0x79, 0x70], offset: 4 },
+    { mime: 'audio/mpeg', extensions: ['mp3'], bytes: [0x49, 0x44, 0x33] },
+    //Formatos do Office (docx, xlsx, pptx) também são zip
+    { mime: 'application/zip', extensions: ['zip', 'docx', 'xlsx', 'pptx'], bytes: [0x50, 0x4B, 0x03, 0x04] },
+];
+
+//Arquivos de texto não têm assinatura: o tipo vem da extensão, desde que o conteúdo pareça texto
+const TIPOS_TEXTO = {
+    txt: 'text/plain',
+    csv: 'text/csv',
+    json: 'application/json',
+    md: 'text/markdown',
+};
+
+const TIPOS_OFFICE = {
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+};
+
+const confere = (buffer, bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+
+//Identifica o tipo real do arquivo a partir do primeiro bloco lido e da extensão informada
+function detectarTipo(buffer, extension) {
+    const assinatura = ASSINATURAS.find(a =>
+        confere(buffer, a.bytes, a.offset) && (!a.extra || confere(buffer, a.extra.bytes, a.extra.offset)));
+
+    if (assinatura) {
+        if (assinatura.mime === 'application/zip' && TIPOS_OFFICE[extension]) {
+            return { mime: TIPOS_OFFICE[extension], extensions: [extension] };
+        }
+        return { mime: assinatura.mime, extensions: assinatura.extensions };
+    }
+    if (TIPOS_TEXTO[extension] && !buffer.includes(0)) {
+        return { mime: TIPOS_TEXTO[extension], extensions: [extension] };
+    }
+    return { mime: 'application/octet-stream', extensions: [] };
+}
+
+function validarPolitica(politica, origem) {
+    if (!KEY_LAYOUTS.includes(politica.keyLayout)) {
+        throw new Error(`${origem}: keyLayout deve ser ${KEY_LAYOUTS.join(', ')}`);
+    }
+    if (!DISPOSITIONS.includes(politica.disposition)) {
+        throw new Error(`${origem}: disposition deve ser ${DISPOSITIONS.join(', ')}`);
+    }
+    if (!Number.isInteger(politica.maxBytes) || politica.maxBytes <= 0) {
+        throw new Error(`${origem}: maxBytes deve ser um inteiro positivo`);
+    }
+    return politica;
+}
+
+const { policies, ...padrao } = config.upload;
+const POLITICA_PADRAO = validarPolitica(padrao, 'Política de upload padrão');
+
+const POLITICAS_POR_BUCKET = Object.fromEntries(
+    Object.entries(policies).map(([bucket, politica]) => [
+        bucket,
+        validarPolitica({
+            ...POLITICA_PADRAO,
+            ...politica,
+            allowedTypes: (politica.allowedTypes ?? POLITICA_PADRAO.allowedTypes).map(t => t.toLowerCase()),
+            allowedExtensions: (politica.allowedExtensions ?? POLITICA_PADRAO.allowedExtensions).map(e => e.toLowerCase().replace(/^\./, '')),
+        }, `Política de upload do bucket ${bucket}`),
+    ]),
+);
+
+function politicaDoBucket(bucket) {
+    return POLITICAS_POR_BUCKET[bucket] ?? POLITICA_PADRAO;
+}
+
+//Extensão em minúsculas, sem o ponto
+const extensaoDe = (filename) => path.extname(filename).slice(1).toLowerCase();
+
+//Nome seguro para chaves e cabeçalhos: sem acentos, caminhos, espaços ou caracteres de controle
+function sanitizarNome(filename) {
+    const base = path.basename(String(filename).replace(/\\/g, '/'));
+    const extension = extensaoDe(base);
+    const nome = (extension ? base.slice(0, -(extension.length + 1)) : base)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9._-]+/g, '-')
+        .replace(/-{2,}/g, '-')
+        .replace(/^[-.]+|[-.]+$/g, '')
+        .slice(0, MAX_FILENAME_LENGTH) || 'arquivo';
+    return extension ? `${nome}.${extension.replace(/[^a-z0-9]/g, '')}` : nome;
+}
+
+//Chave do objeto conforme o layout da política
+function gerarChave(politica, filename, agora = new Date()) {
+    const nome = sanitizarNome(filename);
+    const extension = extensaoDe(nome);
+    const id = crypto.randomUUID();
+
+    const layouts = {
+        timestamp: () => `${agora.getTime()}-${nome}`,
+        uuid: () => (extension ? `${id}.${extension}` : id),
+        date: () => {
+            const [ano, mes, dia] = agora.toISOString().slice(0, 10).split('-');
+            return `${ano}/${mes}/${dia}/${id}-${nome}`;
+        },
+    };
+    return politica.keyPrefix + layouts[politica.keyLayout]();
+}
+
+//Content-Disposition com o nome seguro e o original codificado (RFC 5987)
+function contentDisposition(politica, filename) {
+    const original = encodeURIComponent(path.basename(String(filename).replace(/\\/g, '/')))
+        .replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${politica.disposition}; filename="${sanitizarNome(filename)}"; filename*=UTF-8''${original}`;
+}
+
+function tipoNaoPermitido(message, politica) {
+    return new AppError(message, {
+        status: 415,
+        code: 'UNSUPPORTED_MEDIA_TYPE',
+        details: [{
+            field: 'file',
+            message: [
+                politica.allowedTypes.length && `tipos permitidos: ${politica.allowedTypes.join(', ')}`,
+                politica.allowedExtensions.length && `extensões permitidas: ${politica.allowedExtensions.join(', ')}`,
+            ].filter(Boolean).join('; ') || message,
+        }],
+    });
+}
+
+//Confere o tipo detectado contra a política; retorna o Content-Type a gravar ou lança 415
+function verificarTipo(politica, filename, buffer) {
+    const extension = extensaoDe(filename);
+    const tipo = detectarTipo(buffer, extension);
+
+    if (politica.allowedExtensions.length && !politica.allowedExtensions.includes(extension)) {
+        throw tipoNaoPermitido(`Extensão .${extension || '(nenhuma)'} não permitida`, politica);
+    }
+    if (politica.allowedTypes.length && !politica.allowedTypes.includes(tipo.mime)) {
+        throw tipoNaoPermitido(`Tipo de arquivo ${tipo.mime} não permitido`, politica);
+    }
+    //A extensão precisa corresponder ao conteúdo (ex. um executável renomeado para .png)
+    if (tipo.extensions.length && !tipo.extensions.includes(extension)) {
+        throw tipoNaoPermitido(`O conteúdo do arquivo (${tipo.mime}) não corresponde à extensão .${extension || '(nenhuma)'}`, politica);
+    }
+    return tipo.mime;
+}
+
+//Uploads direto ao S3 (URLs pré-assinadas e multipart): a API não vê o conteúdo, então confere a extensão
+//da chave e o Content-Type declarado, que fica assinado na URL ou na policy e o S3 passa a exigir
+function verificarTipoDeclarado(politica, key, contentType) {
+    if (politica.allowedExtensions.length) {
+        //Com ${filename} o nome só é conhecido pelo S3, e a policy não tem como exigir a extensão
+        if (key.endsWith('${filename}')) {
+            throw tipoNaoPermitido('A chave com ${filename} não garante uma extensão permitida', politica);
+        }
+        const extension = extensaoDe(key);
+        if (!politica.allowedExtensions.includes(extension)) {
+            throw tipoNaoPermitido(`Extensão .${extension || '(nenhuma)'} não permitida`, politica);
+        }
+    }
+    if (politica.allowedTypes.length && !politica.allowedTypes.includes(contentType?.toLowerCase())) {
+        throw tipoNaoPermitido(contentType ? `Tipo de arquivo ${contentType} não permitido` : 'Informe o contentType', politica);
+    }
+}
+
+function arquivoGrandeDemais(politica, tamanho) {
+    return new AppError('Arquivo maior que o permitido', {
+        status: 413,
+        code: 'PAYLOAD_TOO_LARGE',
+        details: [{ field: 'file', message: `tamanho ${tamanho} excede o máximo de ${politica.maxBytes} bytes` }],
+    });
+}
+
+//contentType do multer-s3: lê o primeiro bloco para descobrir o tipo real, aplica a política
+//e devolve um stream com o conteúdo completo, calculando o SHA-256 (file.checksum) no caminho.
+//Um arquivo vazio nunca emite 'data': o 'end' (ou um 'error') precisa responder o cb, senão o upload fica pendurado.
+const tipoPelaPolitica = (politica) => (req, file, cb) => {
+    const aoTerminar = () => {
+        file.stream.off('data', aoLer);
+        file.stream.off('error', aoFalhar);
+        cb(new ValidationError('Arquivo vazio', [{ field: 'file', message: 'não pode ser vazio' }]));
+    };
+    const aoFalhar = (err) => {
+        file.stream.off('data', aoLer);
+        file.stream.off('end', aoTerminar);
+        cb(err);
+    };
+    const aoLer = (primeiroBloco) => {
+        file.stream.off('end', aoTerminar);
+        file.stream.off('error', aoFalhar);
+        let contentType;
+        try {
+            contentType = verificarTipo(politica, file.originalname, primeiroBloco);
+        } catch (err) {
+            return cb(err);
+        }
+        const hash = crypto.createHash('sha256');
+        const conteudo = new Transform({
+            transform(chunk, encoding, done) {
+                hash.update(chunk);
+                done(null, chunk);
+            },
+            flush(done) {
+                file.checksum = hash.digest('hex');
+                done();
+            },
+        });
+        conteudo.write(primeiroBloco);
+        file.stream.pipe(conteudo);
+        cb(null, contentType, conteudo);
+    };
+    file.stream.once('data', aoLer);
+    file.stream.once('end', aoTerminar);
+    file.stream.once('error', aoFalhar);
+};
+
+//fileFilter do multer: o busboy entrega o nome do arquivo em latin1; converte para UTF-8 antes de gerar a chave
+function nomeOriginalEmUtf8(req, file, cb) {
+    file.originalname = Buffer.from(file.originalname, 'latin1').toString('utf8');
+    cb(null, true);
+}
+
+module.exports = {
+    politicaDoBucket,
+    detectarTipo,
+    sanitizarNome,
+    gerarChave,
+    contentDisposition,
+    verificarTipo,
+    verificarTipoDeclarado,
+    arquivoGrandeDemais,
+    tipoPelaPolitica,
+    nomeOriginalEmUtf8,
+};
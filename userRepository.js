@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const { UserInput } = require('./schemas');
+const { consultaInvalida, textoLiteral } = require('./validation');
+
+//O email é único entre todos os usuários, inclusive os removidos (soft delete), até que sejam expurgados
+const UserSchema = new mongoose.Schema({
+    name: { type: String, required: [true, 'é obrigatório'], trim: true, maxlength: 100 },
+    email: {
+        type: String,
+        required: [true, 'é obrigatório'],
+        trim: true,
+        lowercase: true,
+        maxlength: 254,
+        match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'deve ser um email válido'],
+        unique: true,
+    },
+    deletedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+//Campos que o cliente pode gravar; o restante (_id, deletedAt, timestamps) é controlado pela API
+const USER_WRITABLE_FIELDS = Object.keys(UserInput.properties);
+const camposDoUsuario = (body) => Object.fromEntries(USER_WRITABLE_FIELDS.filter(f => body[f] !== undefined).map(f => [f, body[f]]));
+
+//Filtro de usuários não removidos
+const ativo = (filtro = {}) => ({ ...filtro, deletedAt: null });
+
+const USER_SORT_FIELDS = ['name', 'email', 'createdAt', 'updatedAt'];
+const USER_FIELDS = ['name', 'email', 'createdAt', 'updatedAt', 'deletedAt'];
+const USER_MAX_LIMIT = 100;
+
+//Cursor opaco com o valor do campo de ordenação e o _id do último usuário da página
+const codificarCursor = (valor, id) => Buffer.from(JSON.stringify([valor, id])).toString('base64url');
+function decodificarCursor(cursor) {
+    try {
+        const [valor, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!mongoose.isValidObjectId(id)) throw new Error('id inválido');
+        return { valor, id };
+    } catch {
+        throw consultaInvalida('cursor', 'cursor inválido');
+    }
+}
+
+//Monta filtro, projeção, ordenação e paginação (page/limit ou cursor) da listagem de usuários
+function montarConsultaUsuarios(query) {
+    const limit = query.limit === undefined ? 20 : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > USER_MAX_LIMIT) {
+        throw consultaInvalida('limit', `deve ser um inteiro entre 1 e ${USER_MAX_LIMIT}`);
+    }
+    if (query.page !== undefined && query.cursor !== undefined) {
+        throw consultaInvalida('cursor', 'não pode ser usado com page');
+    }
+    const page = query.page === undefined ? 1 : Number(query.page);
+    if (!Number.isInteger(page) || page < 1) throw consultaInvalida('page', 'deve ser um inteiro positivo');
+
+    const filter = query.includeDeleted === 'true' ? {} : ativo();
+    if (query.q) {
+        const busca = { $regex: textoLiteral(query.q), $options: 'i' };
+        filter.$or = [{ name: busca }, { email: busca }];
+    }
+    if (query.name) filter.name = String(query.name);
+    if (query.email) filter.email = String(query.email).trim().toLowerCase();
+
+    let field = 'createdAt';
+    let direction = 1;
+    if (query.sort) {
+        const [campo, dir = 'asc'] = String(query.sort).split(':');
+        if (!USER_SORT_FIELDS.includes(campo) || !['asc', 'desc'].includes(dir.toLowerCase())) {
+            throw consultaInvalida('sort', `deve estar no formato <${USER_SORT_FIELDS.join('|')}>:<asc|desc>`);
+        }
+        field = campo;
+        direction = dir.toLowerCase() === 'asc' ? 1 : -1;
+    }
+
+    let fields;
+    if (query.fields) {
+        fields = String(query.fields).split(',').map(f => f.trim()).filter(Boolean);
+        const invalido = fields.find(f => !USER_FIELDS.includes(f));
+        if (invalido) throw consultaInvalida('fields', `campo desconhecido ${invalido}, use ${USER_FIELDS.join(', ')}`);
+    }
+
+    //Continua depois do último usuário da página anterior, desempatando pelo _id
+    let filtroCursor;
+    if (query.cursor !== undefined) {
+        const { valor, id } = decodificarCursor(query.cursor);
+        const depois = direction === 1 ? '$gt' : '$lt';
+        const valorCursor = ['createdAt', 'updatedAt'].includes(field) ? new Date(valor) : valor;
+        filtroCursor = {
+            $or: [
+                { [field]: { [depois]: valorCursor } },
+                { [field]: valorCursor, _id: { [depois]: id } },
+            ],
+        };
+    }
+
+    return {
+        filter,
+        filtroCursor,
+        //O campo da ordenação entra na projeção para montar o próximo cursor
+        projection: fields && Object.fromEntries([...new Set([...fields, field])].map(f => [f, 1])),
+        fields,
+        sort: { [field]: direction, _id: direction },
+        sortField: field,
+        page,
+        limit,
+        porCursor: query.cursor !== undefined,
+    };
+}
+
+//Usuários no MongoDB. O modelo é registrado na conexão recebida (mongoose.connection em produção)
+function criarRepositorioUsuarios(mongo) {
+    const User = mongo.models.Usuario ?? mongo.model('Usuario', UserSchema);
+
+    return {
+        User,
+
+        criar: (dados) => User.create(camposDoUsuario(dados)),
+
+        //Página da listagem montada por montarConsultaUsuarios, com o cursor da próxima página
+        async listar({ filter, filtroCursor, projection, fields, sort, sortField, page, limit, porCursor }) {
+            const consulta = User.find(filtroCursor ? { $and: [filter, filtroCursor] } : filter, projection)
+                .sort(sort)
+                .limit(limit)
+                .lean();
+            if (!porCursor) consulta.skip((page - 1) * limit);
+            const [users, total] = await Promise.all([consulta, User.countDocuments(filter)]);
+
+            const ultimo = users[users.length - 1];
+            const nextCursor = users.length === limit ? codificarCursor(ultimo[sortField], ultimo._id) : null;
+            //Remove o campo de ordenação quando ele só entrou na projeção por causa do cursor
+            const data = fields && !fields.includes(sortField)
+                ? users.map(({ [sortField]: _, ...user }) => user)
+                : users;
+            return { data, total, nextCursor };
+        },
+
+        buscar: (id) => User.findOne(ativo({ _id: id })),
+
+        //Qualquer usuário, para testar a conexão
+        primeiro: () => User.findOne(),
+
+        async existeAtivo(id) {
+            return mongoose.isValidObjectId(id) && Boolean(await User.exists(ativo({ _id: id })));
+        },
+
+        atualizar: (id, dados) => User.findOneAndUpdate(ativo({ _id: id }), camposDoUsuario(dados), { new: true, runValidators: true }),
+
+        //Soft delete: o usuário some das consultas, mas pode ser restaurado
+        remover: (id) => User.findOneAndUpdate(ativo({ _id: id }), { deletedAt: new Date() }),
+
+        restaurar: (id) => User.findOneAndUpdate(
+            { _id: id, deletedAt: { $ne: null } },
+            { deletedAt: null },
+            { new: true },
+        ),
+
+        //Remove de vez um usuário já removido; 'ativo' se ele ainda não passou pelo soft delete
+        async expurgar(id) {
+            const result = await User.deleteOne({ _id: id, deletedAt: { $ne: null } });
+            if (result.deletedCount > 0) return 'expurgado';
+            return await User.exists({ _id: id }) ? 'ativo' : null;
+        },
+    };
+}
+
+module.exports = { criarRepositorioUsuarios, montarConsultaUsuarios, UserSchema };
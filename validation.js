@@ -0,0 +1,136 @@
+const { ValidationError } = require('./errors');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+//Verifica o tipo de um valor conforme o "type" do schema OpenAPI
+function tipoValido(type, value) {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string';
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default:
+            return true;
+    }
+}
+
+//Valida um campo contra as regras do seu schema, retorna a mensagem de erro ou null
+function validarCampo(rules, value) {
+    if (rules.type && !tipoValido(rules.type, value)) {
+        return `deve ser do tipo ${rules.type}`;
+    }
+    if (rules.enum && !rules.enum.includes(value)) {
+        return `deve ser um dos valores: ${rules.enum.join(', ')}`;
+    }
+    if (typeof value === 'string') {
+        if (rules.minLength !== undefined && value.trim().length < rules.minLength) {
+            return rules.minLength === 1 ? 'não pode ser vazio' : `deve ter no mínimo ${rules.minLength} caracteres`;
+        }
+        if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+            return `deve ter no máximo ${rules.maxLength} caracteres`;
+        }
+        if (rules.format === 'email' && !EMAIL_REGEX.test(value)) {
+            return 'deve ser um email válido';
+        }
+        if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+            return `deve seguir o formato ${rules.pattern}`;
+        }
+    }
+    if (typeof value === 'number') {
+        if (rules.minimum !== undefined && value < rules.minimum) {
+            return `deve ser maior ou igual a ${rules.minimum}`;
+        }
+        if (rules.maximum !== undefined && value > rules.maximum) {
+            return `deve ser menor ou igual a ${rules.maximum}`;
+        }
+    }
+    if (Array.isArray(value)) {
+        if (rules.minItems !== undefined && value.length < rules.minItems) {
+            return `deve ter no mínimo ${rules.minItems} item(ns)`;
+        }
+        if (rules.maxItems !== undefined && value.length > rules.maxItems) {
+            return `deve ter no máximo ${rules.maxItems} itens`;
+        }
+    }
+    return null;
+}
+
+//Valida o valor e, para arrays e objetos, os itens e propriedades aninhados
+function validarValor(rules, value, field, details) {
+    const message = validarCampo(rules, value);
+    if (message) return details.push({ field, message });
+
+    if (Array.isArray(value) && rules.items) {
+        value.forEach((item, i) => validarValor(rules.items, item, `${field}[${i}]`, details));
+    } else if (rules.type === 'object' && rules.properties) {
+        validarPropriedades(rules, value, `${field}.`, details);
+    }
+}
+
+function validarPropriedades(schema, obj, prefixo, details) {
+    for (const field of schema.required || []) {
+        if (obj[field] === undefined || obj[field] === null) {
+            details.push({ field: prefixo + field, message: 'é obrigatório' });
+        }
+    }
+    for (const [field, rules] of Object.entries(schema.properties || {})) {
+        if (obj[field] === undefined) continue;
+        //null só é aceito em campos com nullable; nos obrigatórios já foi apontado acima
+        if (obj[field] === null) {
+            if (!rules.nullable && !schema.required?.includes(field)) {
+                details.push({ field: prefixo + field, message: 'não pode ser nulo' });
+            }
+            continue;
+        }
+        validarValor(rules, obj[field], prefixo + field, details);
+    }
+    //Com additionalProperties: false, só os campos declarados em properties são aceitos
+    if (schema.additionalProperties === false) {
+        for (const field of Object.keys(obj)) {
+            if (!(field in (schema.properties || {}))) {
+                details.push({ field: prefixo + field, message: 'não é permitido' });
+            }
+        }
+    }
+}
+
+//Retorna a lista de erros [{ field, message }] do body em relação ao schema
+function validarSchema(schema, body) {
+    if (!tipoValido('object', body)) {
+        return [{ field: 'body', message: 'deve ser um objeto JSON' }];
+    }
+
+    const details = [];
+    validarPropriedades(schema, body, '', details);
+    return details;
+}
+
+//Middleware que gera um ValidationError (400 com details) quando o body não segue o schema
+//O schema fica exposto no middleware para a verificação da especificação OpenAPI (openapi.js)
+function validarBody(schema) {
+    const validar = (req, res, next) => {
+        const details = validarSchema(schema, req.body ?? {});
+        if (details.length > 0) {
+            return next(new ValidationError('Requisição inválida', details));
+        }
+        next();
+    };
+    validar.schema = schema;
+    return validar;
+}
+
+//Erro dos parâmetros da query string das listagens
+const consultaInvalida = (field, message) => new ValidationError('Parâmetros de consulta inválidos', [{ field, message }]);
+
+//Escapa o texto para uso literal em uma expressão regular do MongoDB
+const textoLiteral = (texto) => String(texto).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { validarBody, validarSchema, consultaInvalida, textoLiteral };